@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/*
+	Draws scrambles from the command line, with the same scripts the page uses:
+
+	cubedraw --puzzle 333 --scramble "R U R'" -o out.svg
+	cubedraw --puzzle 222 -o sheet-%d.png < scrambles.txt
+	cubedraw --puzzle 222 --random 5 -o sheet-%d.svg
+	cubedraw --puzzle 333 --facelets UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB -o out.svg
+	cubedraw --puzzle 333 --case "R U R' U R U2 R'" --view ll -o sune.svg
+
+	Without --scramble it reads one scramble a line from stdin and numbers the files 1, 2 ..
+	by putting the number in place of %d, or before the extension if there is no %d.
+	--random n makes n random-state scrambles instead, printing them and drawing them
+	the same way if there is a -o, and --facelets draws the state a facelet string gives,
+	saying what is wrong with it if it can't be solved. --case draws the case an algorithm
+	solves, with --before for an AUF or rotation done ahead of the algorithm.
+	--scheme draws in another colour scheme, wca, japanese, print or contrast, or six colours
+	for U R F D L B, "#FFFFFF,#FF0000,#00FF00,#D7DF01,#FF8000,#0000FF", and --marks puts
+	patterns or letters on the stickers to tell the colours apart by.
+	--view 3d draws a cube in 3D from above UFR, and 3d-both from below DBL as well, with
+	--turn, --tilt and --perspective as the cube3d.js options. --view ll draws the last layer
+	from above, with --arrows showing where the moves given take its pieces, or with --case
+	where the algorithm takes them if it keeps them in the last layer. --mask greys out
+	stickers, by a preset such as oll or as "sticker=role" words, "*=grey U1=show U2=oriented".
+	Otherwise without -o the SVG goes to stdout. A .png file name gets a PNG, which needs
+	@resvg/resvg-js installed.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const scripts = ["scramSeq.js", "puzzle.js", "svg.js", "drawSkewb.js", "draw222.js", "drawPyraminx.js", "draw333.js",
+	"drawNxN.js", "drawMegaminx.js", "drawSquare1.js", "drawClock.js", "cube3d.js", "schemes.js", "facelets.js", "cubies.js", "masks.js", "lastLayer.js", "solver.js", "solve222.js",
+	"solvePyraminx.js", "solveSkewb.js", "solve333.js", "validate.js"];
+
+const usage = "usage: cubedraw --puzzle <name> [--scramble <moves> | --random <count> | --facelets <string> | --case <algorithm> [--before <moves>]] [-o <file.svg|file.png>] [--scheme <name|six colours>] [--marks patterns|letters] [--mask <name|sticker=role ..>] [--view net|3d|3d-both|ll] [--arrows <moves>] [--turn deg] [--tilt deg] [--perspective n] [--size n] [--gap n] [--stroke n] [--width px]";
+
+/* the page's scripts run in a context of their own, as they would in a browser */
+function loadCubeDraw() {
+	let context = vm.createContext({});
+
+	for (let i = 0; i < scripts.length; i++) {
+		let file = path.join(__dirname, "..", "scripts", scripts[i]);
+		vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+	}
+
+	return {
+		puzzles: vm.runInContext("puzzles", context),
+		scramblers: vm.runInContext("scramblers", context),
+		applyMoves: context.applyMoves,
+		caseMoves: context.caseMoves,
+		puzzleSvg: context.puzzleSvg,
+		cubeSvg3d: context.cubeSvg3d,
+		lastLayerSvg: context.lastLayerSvg,
+		keepsLastLayer: context.keepsLastLayer,
+		readMask: context.readMask,
+		readScheme: context.readScheme,
+		faceletState: context.faceletState,
+		validateState: context.validateState
+	};
+}
+
+function readArgs(argv) {
+	let args = {};
+	let names = { "--puzzle": "puzzle", "--scramble": "scramble", "-o": "output", "--output": "output",
+		"--size": "size", "--gap": "gap", "--stroke": "stroke", "--width": "width", "--random": "random",
+		"--facelets": "facelets", "--case": "case", "--before": "before", "--scheme": "scheme", "--marks": "marks", "--view": "view", "--arrows": "arrows", "--mask": "mask",
+		"--turn": "turn", "--tilt": "tilt", "--perspective": "perspective" };
+
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i] == "-h" || argv[i] == "--help") {
+			args.help = true;
+			continue;
+		}
+		if (names[argv[i]] == null || i + 1 == argv.length) {
+			throw new Error(names[argv[i]] == null ? "unknown option " + argv[i] : argv[i] + " needs a value");
+		}
+		args[names[argv[i]]] = argv[++i];
+	}
+
+	if (args.marks != null && args.marks != "patterns" && args.marks != "letters") {
+		throw new Error("--marks is patterns or letters, not " + args.marks);
+	}
+	if (args.view != null && ["net", "3d", "3d-both", "ll"].indexOf(args.view) == -1) {
+		throw new Error("--view is net, 3d, 3d-both or ll, not " + args.view);
+	}
+	if (args.arrows != null && args.view != "ll") {
+		throw new Error("--arrows goes with --view ll");
+	}
+	if (args.before != null && args.case == null) {
+		throw new Error("--before goes with --case");
+	}
+
+	for (let k of ["size", "gap", "stroke", "width", "random", "turn", "tilt", "perspective"]) {
+		if (args[k] != null) {
+			let n = args[k].trim() == "" ? NaN : Number(args[k]);
+			if (!isFinite(n)) {
+				throw new Error("--" + k + " needs a number, not " + args[k]);
+			}
+			args[k] = n;
+		}
+	}
+	if (args.random != null && !(Number.isInteger(args.random) && args.random > 0)) {
+		throw new Error("--random needs a whole number of scrambles, not " + args.random);
+	}
+
+	return args;
+}
+
+function toPng(svg, width) {
+	let resvg;
+
+	try {
+		resvg = require("@resvg/resvg-js");
+	} catch (e) {
+		throw new Error("PNG output needs @resvg/resvg-js, install it with npm install @resvg/resvg-js");
+	}
+
+	let fit = width ? { mode: "width", value: width } : { mode: "original" };
+	return new resvg.Resvg(svg, { fitTo: fit }).render().asPng();
+}
+
+/* the file for scramble n in batch mode: n in place of %d, or before the extension */
+function numberedFile(output, n) {
+	if (output.indexOf("%d") != -1) {
+		return output.replace("%d", n);
+	}
+
+	let ext = path.extname(output);
+	return output.slice(0, output.length - ext.length) + "-" + n + ext;
+}
+
+function drawOne(cubedraw, args, scramble, output) {
+	let puzzle = cubedraw.puzzles[args.puzzle];
+	drawState(cubedraw, args, cubedraw.applyMoves(puzzle, puzzle.solved, scramble), output);
+}
+
+function drawState(cubedraw, args, state, output) {
+	let puzzle = cubedraw.puzzles[args.puzzle];
+	let options = { size: args.size, gap: args.gap, stroke: args.stroke, scheme: args.scheme, marks: args.marks,
+		turn: args.turn, tilt: args.tilt, perspective: args.perspective, back: args.view == "3d-both", arrows: args.arrows,
+		mask: args.mask != null ? cubedraw.readMask(puzzle, args.mask, state) : null };
+	let svg;
+	if (args.view == "3d" || args.view == "3d-both") {
+		svg = cubedraw.cubeSvg3d(puzzle, state, options);
+	} else if (args.view == "ll") {
+		svg = cubedraw.lastLayerSvg(puzzle, state, options);
+	} else {
+		svg = cubedraw.puzzleSvg(puzzle, state, options);
+	}
+
+	if (output == null) {
+		process.stdout.write(svg + "\n");
+	} else if (path.extname(output).toLowerCase() == ".png") {
+		fs.writeFileSync(output, toPng(svg, args.width));
+	} else {
+		fs.writeFileSync(output, svg);
+	}
+}
+
+function main(argv) {
+	let args = readArgs(argv);
+
+	if (args.help) {
+		console.log(usage);
+		return 0;
+	}
+
+	let cubedraw = loadCubeDraw();
+	if (args.puzzle == null || cubedraw.puzzles[args.puzzle] == null) {
+		throw new Error((args.puzzle == null ? "no --puzzle" : "unknown puzzle " + args.puzzle) +
+			", one of: " + Object.keys(cubedraw.puzzles).join(", "));
+	}
+	if (args.scheme != null) {
+		args.scheme = cubedraw.readScheme(args.scheme);
+	}
+	/* read now to say what is wrong with it, and again for each state, which presets like EOLine go by */
+	if (args.mask != null) {
+		cubedraw.readMask(cubedraw.puzzles[args.puzzle], args.mask);
+	}
+
+	if (args.scramble != null) {
+		drawOne(cubedraw, args, args.scramble, args.output);
+		return 0;
+	}
+	if (args.case != null) {
+		let puzzle = cubedraw.puzzles[args.puzzle];
+		/* the last layer gets arrows for the algorithm, AUF and all, unless others are given */
+		let algorithm = ((args.before || "") + " " + args.case).trim();
+		if (args.view == "ll" && args.arrows == null && cubedraw.keepsLastLayer(puzzle, algorithm)) {
+			args.arrows = algorithm;
+		}
+		drawState(cubedraw, args, cubedraw.applyMoves(puzzle, puzzle.solved, cubedraw.caseMoves(args.puzzle, args.case, args.before)), args.output);
+		return 0;
+	}
+	if (args.facelets != null) {
+		let state = cubedraw.faceletState(cubedraw.puzzles[args.puzzle], args.facelets);
+		let problems = cubedraw.validateState(cubedraw.puzzles[args.puzzle], state);
+		for (let i = 0; i < problems.length; i++) {
+			console.error("cubedraw: " + problems[i]);
+		}
+		drawState(cubedraw, args, state, args.output);
+		return problems.length > 0 ? 1 : 0;
+	}
+
+	let lines;
+	if (args.random != null) {
+		if (cubedraw.scramblers[args.puzzle] == null) {
+			throw new Error("no random-state scrambler for " + args.puzzle + ", only for: " + Object.keys(cubedraw.scramblers).join(", "));
+		}
+		lines = [];
+		for (let i = 0; i < args.random; i++) {
+			lines.push(cubedraw.scramblers[args.puzzle]());
+			console.log(lines[i]);
+		}
+		if (args.output == null) {
+			return 0;
+		}
+	} else {
+		lines = fs.readFileSync(0, "utf8").split(/\r?\n/);
+	}
+	let failed = 0;
+	let n = 0;
+
+	for (let i = 0; i < lines.length; i++) {
+		if (lines[i].trim() == "") {
+			continue;
+		}
+		n++;
+		try {
+			drawOne(cubedraw, args, lines[i], args.output == null ? null : numberedFile(args.output, n));
+		} catch (e) {
+			console.error("line " + (i + 1) + ": " + e.message);
+			failed++;
+		}
+	}
+
+	return failed > 0 ? 1 : 0;
+}
+
+try {
+	process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+	console.error("cubedraw: " + e.message);
+	process.exitCode = 2;
+}
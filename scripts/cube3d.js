@@ -0,0 +1,114 @@
+/*
+	The cubes drawn in 3D, for posters and algorithm sheets: cubeSvg3d(puzzle, state, options)
+	gives SVG markup of the cube seen from above its UFR corner, U F and R showing, and with
+	back also from below its DBL corner, D B and L showing, to the right of the first.
+
+	Besides the svg.js options (size is still the edge of a sticker):
+	turn  degrees the cube is turned about its vertical axis, 45 for F and R alike,
+	tilt  degrees it is tipped towards you, 35.26 for a true isometric view,
+	perspective  how far away the eye is in cube edges, more than 1, or 0 for none.
+
+	Each face is laid in space as on the net: the cube goes from -1 to 1 in x (to the
+	right), y (up) and z (to the front), and the faces facing the eye are drawn.
+*/
+
+const cube3dDefaults = { turn: 45, tilt: 35.26, perspective: 0, back: false };
+
+/* for each face, where its first sticker's corner is and which way its rows and columns go */
+const cube3dFaces = {
+	"U": { origin: [-1, 1, -1], across: [1, 0, 0], down: [0, 0, 1] },
+	"L": { origin: [-1, 1, -1], across: [0, 0, 1], down: [0, -1, 0] },
+	"F": { origin: [-1, 1, 1], across: [1, 0, 0], down: [0, -1, 0] },
+	"R": { origin: [1, 1, 1], across: [0, 0, -1], down: [0, -1, 0] },
+	"B": { origin: [1, 1, -1], across: [-1, 0, 0], down: [0, -1, 0] },
+	"D": { origin: [-1, -1, 1], across: [1, 0, 0], down: [0, 0, -1] }
+};
+
+function cube3dOptions(options) {
+	let merged = {};
+
+	for (let k in cube3dDefaults) {
+		merged[k] = options && options[k] != null ? options[k] : cube3dDefaults[k];
+	}
+	if (merged.perspective != 0 && !(merged.perspective > 1)) {
+		throw new Error("perspective is how far away the eye is in cube edges, more than 1, or 0 for none");
+	}
+
+	return merged;
+}
+
+/* the cubes have a 3D view, the rest don't */
+function hasCube3d(puzzle) {
+	let n = Math.round(Math.sqrt(puzzle.faceSize));
+	return puzzle.faces != null && puzzle.faces.join("") == "ULFRBD" && n * n == puzzle.faceSize;
+}
+
+function cubeSvg3d(puzzle, state, options) {
+	if (!hasCube3d(puzzle)) {
+		throw new Error(puzzle.title + " has no 3D view, only the cubes do");
+	}
+	let n = Math.round(Math.sqrt(puzzle.faceSize));
+
+	let view = cube3dOptions(options);
+	options = svgOptions(options);
+	options.scheme = puzzleScheme(puzzle, options.scheme);
+
+	let shapes = cube3dShapes(puzzle, state, n, view.turn, view.tilt, view, options);
+	if (view.back) {
+		let back = cube3dShapes(puzzle, state, n, view.turn + 180, -view.tilt, view, options);
+		let right = Math.max.apply(null, [].concat.apply([], shapes.map(function(s) { return s.points.map(function(p) { return p[0]; }); })));
+		let left = Math.min.apply(null, [].concat.apply([], back.map(function(s) { return s.points.map(function(p) { return p[0]; }); })));
+		let shift = right - left + n * options.size / 2;
+		shapes = shapes.concat(back.map(function(s) {
+			return { points: s.points.map(function(p) { return [p[0] + shift, p[1]]; }), fill: s.fill, sticker: s.sticker };
+		}));
+	}
+
+	return svgPolygons(shapes, options);
+}
+
+/* the stickers on the faces the eye sees, turned and tipped, flattened onto the page */
+function cube3dShapes(puzzle, state, n, turn, tilt, view, options) {
+	let a = turn * Math.PI / 180;
+	let t = tilt * Math.PI / 180;
+	let scale = n * options.size / 2;
+	let eye = view.perspective * 2;
+
+	let place = function(p) {
+		let x = p[0] * Math.cos(a) - p[2] * Math.sin(a);
+		let z = p[0] * Math.sin(a) + p[2] * Math.cos(a);
+		let y = p[1] * Math.cos(t) - z * Math.sin(t);
+		z = p[1] * Math.sin(t) + z * Math.cos(t);
+		return [x, y, z];
+	};
+	let flatten = function(p) {
+		let k = eye == 0 ? scale : scale * eye / (eye - p[2]);
+		return [p[0] * k, -p[1] * k];
+	};
+	let at = function(face, row, col) {
+		return [0, 1, 2].map(function(k) { return face.origin[k] + 2 * (col * face.across[k] + row * face.down[k]) / n; });
+	};
+
+	let shapes = [];
+	for (let name in cube3dFaces) {
+		let face = cube3dFaces[name];
+		let normal = place([0, 1, 2].map(function(k) { return face.origin[k] + face.across[k] + face.down[k]; }));
+		/* the centre of a face is also the way it faces, so it shows if the eye is in front of it */
+		let seen = eye == 0 ? normal[2] : normal[0] * -normal[0] + normal[1] * -normal[1] + normal[2] * (eye - normal[2]);
+		if (seen <= 1e-9) {
+			continue;
+		}
+
+		for (let i = 0; i < n * n; i++) {
+			let row = Math.floor(i / n), col = i % n;
+			let corners = [at(face, row, col), at(face, row, col + 1), at(face, row + 1, col + 1), at(face, row + 1, col)];
+			shapes.push({
+				points: corners.map(function(p) { return flatten(place(p)); }),
+				fill: state[puzzle.index[name + (i + 1)]],
+				sticker: name + (i + 1)
+			});
+		}
+	}
+
+	return shapes;
+}
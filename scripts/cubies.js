@@ -0,0 +1,188 @@
+/*
+	The 2x2x2 and 3x3x3 as cubies rather than stickers: { cp, co, ep, eo, centres }, cp[i]
+	being the corner at position i and co[i] its twist, ep and eo the same for edges and
+	centres[i] the centre at position i, numbered in the usual order:
+	corners URF UFL ULB UBR DFR DLF DBL DRB, edges UR UF UL UB DR DF DL DB FR FL BL BR,
+	centres U R F D L B. The 2x2x2 has no edges or centres, so those lists are empty.
+
+	Each position lists its stickers clockwise from the U or D one (U or D, then F or B for
+	the middle edges). A corner's twist is where its U or D colour is in that list and an
+	edge is flipped if its first colour isn't on the first sticker.
+
+	Every move of the puzzle is also a cubie state, read off the sticker model, and doing
+	one after another is multiplyCubies.
+*/
+
+const cubieModels = {};
+
+const corners222 = [["U4", "R1", "F2"], ["U3", "F1", "L2"], ["U1", "L1", "B2"], ["U2", "B1", "R2"],
+	["D2", "F4", "R3"], ["D1", "L4", "F3"], ["D3", "B4", "L3"], ["D4", "R4", "B3"]];
+
+const corners333 = [["U9", "R1", "F3"], ["U7", "F1", "L3"], ["U1", "L1", "B3"], ["U3", "B1", "R3"],
+	["D3", "F9", "R7"], ["D1", "L9", "F7"], ["D7", "B9", "L7"], ["D9", "R9", "B7"]];
+
+const edges333 = [["U6", "R2"], ["U8", "F2"], ["U4", "L2"], ["U2", "B2"], ["D6", "R8"], ["D2", "F8"],
+	["D4", "L8"], ["D8", "B8"], ["F6", "R4"], ["F4", "L6"], ["B6", "L4"], ["B4", "R6"]];
+
+const centres333 = [["U5"], ["R5"], ["F5"], ["D5"], ["L5"], ["B5"]];
+
+function defineCubies(puzzle, corners, edges, centres) {
+	let faces = function(pieces) {
+		return pieces.map(function(p) { return p.map(function(s) { return s[0]; }).join(""); });
+	};
+	let model = {
+		puzzle: puzzle,
+		corners: corners,
+		edges: edges,
+		centres: centres,
+		cornerNames: faces(corners),
+		edgeNames: faces(edges),
+		centreNames: faces(centres),
+		moves: {}
+	};
+	cubieModels[puzzle.name] = model;
+
+	for (let name in puzzle.moves) {
+		model.moves[name] = stateToCubies(puzzle, applyPerm(puzzle.solved, puzzle.moves[name]));
+	}
+
+	return model;
+}
+
+/* the face each colour belongs to when the puzzle is solved */
+function schemeFaces(puzzle) {
+	let faces = {};
+
+	for (let f = 0; f < puzzle.faces.length; f++) {
+		faces[puzzle.solved[puzzle.index[puzzle.faces[f] + 1]]] = puzzle.faces[f];
+	}
+
+	return faces;
+}
+
+/* the face each colour belongs to by the centres of a 3x3x3, for reading a turned cube as if it weren't */
+function centreFaces333(state) {
+	let faces = {};
+
+	for (let f = 0; f < centres333.length; f++) {
+		faces[state[puzzle3.index[centres333[f][0]]]] = centres333[f][0][0];
+	}
+
+	return faces;
+}
+
+/* the cubies of a sticker state, colours going to faces by faces (the colour scheme if left out) */
+function stateToCubies(puzzle, state, faces) {
+	let model = cubieModels[puzzle.name];
+	let cube = readCubies(puzzle, state, faces);
+
+	for (let kind of [["cp", "corner", model.cornerNames], ["ep", "edge", model.edgeNames], ["centres", "centre", model.centreNames]]) {
+		let i = cube[kind[0]].indexOf(-1);
+		if (i != -1) {
+			throw new Error("no " + kind[1] + " has the colours at " + kind[2][i]);
+		}
+	}
+
+	return cube;
+}
+
+/* the same, with -1 for any piece whose colours no piece has */
+function readCubies(puzzle, state, faces) {
+	let model = cubieModels[puzzle.name];
+	let cube = { cp: [], co: [], ep: [], eo: [], centres: [] };
+	faces = faces || schemeFaces(puzzle);
+
+	let read = function(stickers) {
+		return stickers.map(function(s) { return faces[state[puzzle.index[s]]] || "?"; }).join("");
+	};
+
+	for (let i = 0; i < model.corners.length; i++) {
+		let seen = read(model.corners[i]);
+		let t = seen.search(/[UD]/);
+		cube.cp.push(t == -1 ? -1 : model.cornerNames.indexOf(seen.slice(t) + seen.slice(0, t)));
+		cube.co.push(t);
+	}
+
+	for (let i = 0; i < model.edges.length; i++) {
+		let seen = read(model.edges[i]);
+		let e = model.edgeNames.indexOf(seen);
+		let flipped = model.edgeNames.indexOf(seen[1] + seen[0]);
+		cube.ep.push(e != -1 ? e : flipped);
+		cube.eo.push(e != -1 ? 0 : 1);
+	}
+
+	for (let i = 0; i < model.centres.length; i++) {
+		cube.centres.push(model.centreNames.indexOf(read(model.centres[i])));
+	}
+
+	return cube;
+}
+
+function cubiesToState(puzzle, cube) {
+	let model = cubieModels[puzzle.name];
+	let state = puzzle.solved.slice();
+
+	/* piece's k-th sticker goes k places on from where its twist puts the first */
+	let place = function(pieces, perm, twists, turn) {
+		for (let i = 0; i < perm.length; i++) {
+			for (let k = 0; k < pieces[i].length; k++) {
+				let from = pieces[perm[i]][k];
+				state[puzzle.index[pieces[i][(twists[i] + k) % turn]]] = puzzle.solved[puzzle.index[from]];
+			}
+		}
+	};
+
+	place(model.corners, cube.cp, cube.co, 3);
+	place(model.edges, cube.ep, cube.eo, 2);
+	place(model.centres, cube.centres, cube.centres.map(function() { return 0; }), 1);
+
+	return state;
+}
+
+function solvedCubies(puzzle) {
+	let model = cubieModels[puzzle.name];
+	let zeros = function(n) { return new Array(n).fill(0); };
+
+	return {
+		cp: identityPerm(model.corners.length), co: zeros(model.corners.length),
+		ep: identityPerm(model.edges.length), eo: zeros(model.edges.length),
+		centres: identityPerm(model.centres.length)
+	};
+}
+
+/* a followed by b */
+function multiplyCubies(a, b) {
+	let cube = { cp: [], co: [], ep: [], eo: [], centres: composePerms(a.centres, b.centres) };
+
+	for (let i = 0; i < b.cp.length; i++) {
+		cube.cp.push(a.cp[b.cp[i]]);
+		cube.co.push((a.co[b.cp[i]] + b.co[i]) % 3);
+	}
+	for (let i = 0; i < b.ep.length; i++) {
+		cube.ep.push(a.ep[b.ep[i]]);
+		cube.eo.push((a.eo[b.ep[i]] + b.eo[i]) % 2);
+	}
+
+	return cube;
+}
+
+/* what applyMoves does to stickers, on cubies */
+function applyCubieMoves(puzzle, cube, moves) {
+	let model = cubieModels[puzzle.name];
+	if (typeof moves == "string") {
+		moves = scrambleMoves(puzzle.name, moves);
+	}
+
+	for (let i = 0; i < moves.length; i++) {
+		let order = puzzle.orders[moves[i].base];
+		let times = ((moves[i].amount % order) + order) % order;
+		for (let k = 0; k < times; k++) {
+			cube = multiplyCubies(cube, model.moves[moves[i].base]);
+		}
+	}
+
+	return cube;
+}
+
+defineCubies(puzzle2, corners222, [], []);
+defineCubies(puzzle3, corners333, edges333, centres333);
@@ -1,6 +1,3 @@
-
-var cube2 = [[w, w, w, w], [o, o, o, o], [g, g, g, g], [r, r, r, r], [b, b, b, b], [y, y, y, y]];
-
 /*      u1 u2
 	     u3 u4
 
@@ -11,97 +8,16 @@ l3 l4   f3 f4   r3 r4   b3 b4
         d3 d4
 */
 
-function drawCube2(scram) {
-	initCubeArr("222");
-
-	let scr = getSequence("4", scram);
-	let temp;
-
-	for (let i = 0; i < scr.length; i++) {
-		switch (scr[i]) {
-			case "R":
-				temp = cube2[0][3];
-				cube2[0][3] = cube2[2][3];
-				cube2[2][3] = cube2[5][3];
-				cube2[5][3] = cube2[4][0];
-				cube2[4][0] = temp;
-
-				temp = cube2[0][1];
-				cube2[0][1] = cube2[2][1];
-				cube2[2][1] = cube2[5][1];
-				cube2[5][1] = cube2[4][2];
-				cube2[4][2] = temp;
-
-				temp = cube2[3][0];
-				cube2[3][0] = cube2[3][2];
-				cube2[3][2] = cube2[3][3];
-				cube2[3][3] = cube2[3][1];
-				cube2[3][1] = temp;
-				break;
-
-			case "U":
-				temp = cube2[0][0];
-				cube2[0][0] = cube2[0][2];
-				cube2[0][2] = cube2[0][3];
-				cube2[0][3] = cube2[0][1];
-				cube2[0][1] = temp;
-
-				temp = cube2[2][0];
-				cube2[2][0] = cube2[3][0];
-				cube2[3][0] = cube2[4][0];
-				cube2[4][0] = cube2[1][0];
-				cube2[1][0] = temp;
-
-				temp = cube2[2][1];
-				cube2[2][1] = cube2[3][1];
-				cube2[3][1] = cube2[4][1];
-				cube2[4][1] = cube2[1][1];
-				cube2[1][1] = temp;
-				break;
-
-			case "F":
-				temp = cube2[2][0];
-				cube2[2][0] = cube2[2][2];
-				cube2[2][2] = cube2[2][3];
-				cube2[2][3] = cube2[2][1];
-				cube2[2][1] = temp;
-
-				temp = cube2[0][2];
-				cube2[0][2] = cube2[1][3];
-				cube2[1][3] = cube2[5][1];
-				cube2[5][1] = cube2[3][0];
-				cube2[3][0] = temp;
-
-				temp = cube2[0][3];
-				cube2[0][3] = cube2[1][1];
-				cube2[1][1] = cube2[5][0];
-				cube2[5][0] = cube2[3][2];
-				cube2[3][2] = temp;
-				break;
-		}
-	}
-	document.getElementById("222_U1").style.fill = cube2[0][0];
-	document.getElementById("222_U2").style.fill = cube2[0][1];
-	document.getElementById("222_U3").style.fill = cube2[0][2];
-	document.getElementById("222_U4").style.fill = cube2[0][3];
-	document.getElementById("222_L1").style.fill = cube2[1][0];
-	document.getElementById("222_L2").style.fill = cube2[1][1];
-	document.getElementById("222_L3").style.fill = cube2[1][2];
-	document.getElementById("222_L4").style.fill = cube2[1][3];
-	document.getElementById("222_F1").style.fill = cube2[2][0];
-	document.getElementById("222_F2").style.fill = cube2[2][1];
-	document.getElementById("222_F3").style.fill = cube2[2][2];
-	document.getElementById("222_F4").style.fill = cube2[2][3];
-	document.getElementById("222_R1").style.fill = cube2[3][0];
-	document.getElementById("222_R2").style.fill = cube2[3][1];
-	document.getElementById("222_R3").style.fill = cube2[3][2];
-	document.getElementById("222_R4").style.fill = cube2[3][3];
-	document.getElementById("222_B1").style.fill = cube2[4][0];
-	document.getElementById("222_B2").style.fill = cube2[4][1];
-	document.getElementById("222_B3").style.fill = cube2[4][2];
-	document.getElementById("222_B4").style.fill = cube2[4][3];
-	document.getElementById("222_D1").style.fill = cube2[5][0];
-	document.getElementById("222_D2").style.fill = cube2[5][1];
-	document.getElementById("222_D3").style.fill = cube2[5][2];
-	document.getElementById("222_D4").style.fill = cube2[5][3];
-}
\ No newline at end of file
+var puzzle2 = definePuzzle({
+	name: "222",
+	title: "2x2x2",
+	faces: ["U", "L", "F", "R", "B", "D"],
+	faceSize: 4,
+	colours: [w, o, g, r, b, y],
+	moves: {
+		"R": ["U4 B1 D4 F4", "U2 B3 D2 F2", "R1 R2 R4 R3"],
+		"U": ["U1 U2 U4 U3", "F1 L1 B1 R1", "F2 L2 B2 R2"],
+		"F": ["F1 F2 F4 F3", "U3 R1 D2 L4", "U4 R3 D1 L2"]
+	},
+	shapes: function(options) { return cubeNetShapes(2, options); }
+});
\ No newline at end of file
@@ -0,0 +1,161 @@
+/*
+	Rubik's Clock. Each side has 9 dials, numbered row by row as seen from that side,
+	showing 0 .. 11 hours, and there are 4 pins between them: UL, UR, DL, DR.
+
+	A pin up on one side is down on the other. Turning with some pins up turns every
+	dial next to one of them on the side facing you, and the corner dials under them
+	turn the other way on the back, as each corner is one gear through the clock.
+
+	Unlike the sticker puzzles the state isn't a permutation:
+	{ dials: [front 1..9, back 1..9], pins: [UL, UR, DL, DR] up seen from the front,
+	  back: the back is facing you after a y2, setting: reading the pins at the end }
+*/
+
+/* the pins each turn of the WCA notation has up */
+const clockPinSets = {
+	"UL": [0], "UR": [1], "DL": [2], "DR": [3],
+	"U": [0, 1], "D": [2, 3], "L": [0, 2], "R": [1, 3],
+	"ALL": [0, 1, 2, 3]
+};
+
+/* the dials next to each pin, and the corner dial that is on both sides */
+const clockNear = [[0, 1, 3, 4], [1, 2, 4, 5], [3, 4, 6, 7], [4, 5, 7, 8]];
+const clockCorners = [0, 2, 6, 8];
+
+var puzzleClock = {
+	name: "clock",
+	title: "clock",
+	moves: { "UL": true, "UR": true, "DL": true, "DR": true, "U": true, "D": true, "L": true, "R": true, "ALL": true, "y2": true },
+	solved: clockSolved(),
+	applyMove: clockMove,
+	check: clockCheck,
+	svg: clockSvg
+};
+puzzles["clock"] = puzzleClock;
+
+function clockSolved() {
+	return {
+		dials: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+		pins: [false, false, false, false],
+		back: false,
+		setting: false
+	};
+}
+
+/* the same place seen from the other side: left and right swap */
+function clockMirrorDial(i) {
+	return i - i % 3 + 2 - i % 3;
+}
+
+function clockMirrorPin(k) {
+	return k ^ 1;
+}
+
+/* set pin k, as seen from the side facing you */
+function clockSetPin(state, k, up) {
+	if (state.back) {
+		state.pins[clockMirrorPin(k)] = !up;
+	} else {
+		state.pins[k] = up;
+	}
+}
+
+function clockMove(state, move) {
+	let next = {
+		dials: state.dials.slice(),
+		pins: state.pins.slice(),
+		back: state.back,
+		setting: move.family == "pin"
+	};
+
+	if (move.family == "y2") {
+		next.back = !state.back;
+		return next;
+	}
+
+	let up = clockPinSets[move.base];
+	if (move.family == "pin") {
+		if (!state.setting) {
+			for (let k = 0; k < 4; k++) {
+				clockSetPin(next, k, false);
+			}
+		}
+		clockSetPin(next, up[0], true);
+		return next;
+	}
+
+	let front = state.back ? 9 : 0;
+	let behind = state.back ? 0 : 9;
+	let turned = [];
+
+	for (let k = 0; k < 4; k++) {
+		clockSetPin(next, k, up.indexOf(k) != -1);
+	}
+	for (let j = 0; j < up.length; j++) {
+		let k = up[j];
+		for (let n = 0; n < 4; n++) {
+			turned[clockNear[k][n]] = true;
+		}
+		let corner = behind + clockMirrorDial(clockCorners[k]);
+		next.dials[corner] = (next.dials[corner] - move.amount + 12) % 12;
+	}
+	for (let i = 0; i < 9; i++) {
+		if (turned[i]) {
+			next.dials[front + i] = (next.dials[front + i] + move.amount + 12) % 12;
+		}
+	}
+
+	return next;
+}
+
+/* the pins left up are only written after the last turn */
+function clockCheck(moves) {
+	let errors = [];
+	let pins = false;
+
+	for (let i = 0; i < moves.length; i++) {
+		if (moves[i].family == "pin") {
+			pins = true;
+		} else if (pins) {
+			errors.push({ text: moves[i].text, pos: moves[i].pos, reason: "turn after the pins at the end" });
+		}
+	}
+
+	return errors;
+}
+
+/* one side round (cx, cy): dials with their hands pointing at the hour, and the pins; k scales it */
+function clockSideSvg(state, side, cx, cy, k, body, stroke) {
+	let outline = '" stroke="black" stroke-width="' + stroke + '"></circle>';
+	let svg = '<circle cx="' + svgNumber(cx) + '" cy="' + svgNumber(cy) + '" r="' + svgNumber(57 * k) + '" fill="' + body + outline;
+
+	for (let i = 0; i < 9; i++) {
+		let x = cx + (i % 3 - 1) * 30 * k;
+		let y = cy + (Math.floor(i / 3) - 1) * 30 * k;
+		let a = state.dials[side * 9 + i] * Math.PI / 6;
+
+		svg += '<circle cx="' + svgNumber(x) + '" cy="' + svgNumber(y) + '" r="' + svgNumber(11 * k) + '" fill="white' + outline;
+		svg += '<circle cx="' + svgNumber(x) + '" cy="' + svgNumber(y - 12.5 * k) + '" r="' + svgNumber(k) + '" fill="red"></circle>';
+		svg += '<line x1="' + svgNumber(x) + '" y1="' + svgNumber(y) + '" x2="' + svgNumber(x + 9 * k * Math.sin(a)) + '" y2="' + svgNumber(y - 9 * k * Math.cos(a)) +
+			'" stroke="black" stroke-width="' + svgNumber(2.5 * k) + '" stroke-linecap="round"></line>';
+	}
+
+	for (let p = 0; p < 4; p++) {
+		let up = side == 0 ? state.pins[p] : !state.pins[clockMirrorPin(p)];
+		let x = cx + (p % 2 == 0 ? -15 : 15) * k;
+		let y = cy + (p < 2 ? -15 : 15) * k;
+		svg += '<circle cx="' + svgNumber(x) + '" cy="' + svgNumber(y) + '" r="' + svgNumber(3.5 * k) + '" fill="' + (up ? "#FFD000" : "#444444") + outline;
+	}
+
+	return svg;
+}
+
+/* the front on the left and the back on the right, each as seen from its own side; a dial is about a size across */
+function clockSvg(state, options) {
+	let k = options.size / 20;
+	let r = 57 * k + options.stroke;
+	let space = options.size / 4 + options.gap;
+
+	return svgWrap([0, 0, 4 * r + space, 2 * r],
+		clockSideSvg(state, 0, r, r, k, "#3375B5", options.stroke) + clockSideSvg(state, 1, 3 * r + space, r, k, "#A4C8EC", options.stroke));
+}
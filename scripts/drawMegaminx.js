@@ -0,0 +1,316 @@
+/*
+	Megaminx, in Pochmann notation as used in WCA scrambles:
+	R++ / R-- turn everything but the L face 2/5 of a turn, seen from DBR (the face opposite L),
+	D++ / D-- turn everything but the U face 2/5 of a turn, seen from D,
+	U / U' turn the U face 1/5 of a turn.
+
+	Each face has 11 stickers: 1 is the centre, then corner, edge, corner, edge .. going
+	clockwise round the face. Everything is worked out from a dodecahedron in space
+	(x to the right, y up, z to the front): the moves by rotating sticker centres, the net
+	by unfolding the faces flat.
+*/
+
+const megaFaces = ["U", "BL", "BR", "R", "F", "L", "D", "DR", "DBR", "B", "DBL", "DL"];
+
+const megaColours = ["#FFFFFF", "#FFCC00", "#0000B3", "#DD0000", "#006600", "#8A1AFF",
+	"#999999", "#FFFFB3", "#FF99FF", "#71E600", "#FF8433", "#88DDFF"];
+
+/* letters for the colours the cube doesn't have, for svg.js marks */
+[["#FFCC00", "Y"], ["#0000B3", "B"], ["#DD0000", "R"], ["#006600", "G"], ["#8A1AFF", "P"], ["#999999", "Gy"],
+	["#FFFFB3", "Cr"], ["#FF99FF", "Pk"], ["#71E600", "Li"], ["#FF8433", "O"], ["#88DDFF", "LB"]].forEach(function(m) {
+	colourMarks[m[0]] = { letter: m[1], pattern: null };
+});
+
+function vAdd(a, b) {
+	return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function vSub(a, b) {
+	return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function vScale(a, k) {
+	return [a[0] * k, a[1] * k, a[2] * k];
+}
+
+function vDot(a, b) {
+	return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function vCross(a, b) {
+	return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function vUnit(a) {
+	return vScale(a, 1 / Math.sqrt(vDot(a, a)));
+}
+
+/* p turned by angle (radians) around the unit vector k, anticlockwise seen from the end of k */
+function vRotate(p, k, angle) {
+	let c = Math.cos(angle);
+	let s = Math.sin(angle);
+	return vAdd(vAdd(vScale(p, c), vScale(vCross(k, p), s)), vScale(k, vDot(k, p) * (1 - c)));
+}
+
+/* where two lines, each through two points, cross */
+function lineCross(a1, a2, b1, b2) {
+	let da = vSub(a2, a1);
+	let db = vSub(b2, b1);
+	let n = vCross(da, db);
+	let t = vDot(vCross(vSub(b1, a1), db), n) / vDot(n, n);
+	return vAdd(a1, vScale(da, t));
+}
+
+/* the face normals: U on top, F in front, then the upper and lower rings of five */
+function megaNormals() {
+	let normals = {};
+	let ring = 2 / Math.sqrt(5);
+	let h = 1 / Math.sqrt(5);
+	let upper = { "F": 0, "R": 72, "BR": 144, "BL": -144, "L": -72 };
+	let lower = { "DR": 36, "DBR": 108, "B": 180, "DBL": -108, "DL": -36 };
+
+	normals["U"] = [0, 1, 0];
+	normals["D"] = [0, -1, 0];
+	for (let f in upper) {
+		let a = upper[f] * Math.PI / 180;
+		normals[f] = [ring * Math.sin(a), h, ring * Math.cos(a)];
+	}
+	for (let f in lower) {
+		let a = lower[f] * Math.PI / 180;
+		normals[f] = [ring * Math.sin(a), -h, ring * Math.cos(a)];
+	}
+
+	return normals;
+}
+
+/*
+	The faces with their corners and sticker outlines:
+	{ normal, vertices, neighbours, stickers: [[points of sticker 1], ..] }
+	vertices and neighbours go clockwise seen from outside, neighbours[k] sharing the
+	edge from vertices[k] to vertices[k + 1].
+*/
+function megaGeometry() {
+	let normals = megaNormals();
+	let faces = {};
+
+	for (let f in normals) {
+		let n = normals[f];
+		let up = f == "U" || f == "D" ? [0, 0, 1] : [0, 1, 0];
+		let u = vUnit(vSub(up, vScale(n, vDot(up, n))));
+		let v = vCross(n, u);
+		let around = [];
+
+		for (let g in normals) {
+			let dot = vDot(n, normals[g]);
+			if (dot > 0.4 && dot < 0.5) {
+				around.push({ face: g, angle: Math.atan2(vDot(normals[g], v), vDot(normals[g], u)) });
+			}
+		}
+		around.sort(function(a, c) { return c.angle - a.angle; });
+
+		let vertices = [];
+		let neighbours = [];
+		for (let k = 0; k < 5; k++) {
+			let m1 = normals[around[(k + 4) % 5].face];
+			let m2 = normals[around[k].face];
+			vertices.push(vScale(vAdd(n, vAdd(m1, m2)), 1 / 3));
+			neighbours.push(around[k].face);
+		}
+
+		faces[f] = { normal: n, vertices: vertices, neighbours: neighbours, stickers: megaStickers(vertices) };
+	}
+
+	return faces;
+}
+
+/* the centre pentagon, then corner kites and edge pieces, cut along lines parallel to the edges */
+function megaStickers(vertices) {
+	let c = vScale(vertices.reduce(vAdd), 1 / 5);
+	let inner = [];
+	let stickers = [];
+
+	for (let k = 0; k < 5; k++) {
+		inner.push(vAdd(c, vScale(vSub(vertices[k], c), 0.45)));
+	}
+	stickers.push(inner);
+
+	for (let k = 0; k < 5; k++) {
+		let prev = (k + 4) % 5;
+		let next = (k + 1) % 5;
+		let onPrev = lineCross(inner[k], inner[next], vertices[prev], vertices[k]);
+		let onNext = lineCross(inner[prev], inner[k], vertices[k], vertices[next]);
+		let farNext = lineCross(inner[next], inner[(k + 2) % 5], vertices[k], vertices[next]);
+
+		stickers.push([vertices[k], onNext, inner[k], onPrev]);
+		stickers.push([onNext, farNext, inner[next], inner[k]]);
+	}
+
+	return stickers;
+}
+
+function megaCentre(points) {
+	return vScale(points.reduce(vAdd), 1 / points.length);
+}
+
+/* a sticker centre as a string, to find the sticker a rotated centre lands on */
+function megaKey(p) {
+	return p.map(function(x) { return Math.round(x * 1000); }).join();
+}
+
+/* cycles of turning the stickers picked by inLayer clockwise around axis, by fifths of a turn */
+function megaCycles(faces, axis, fifths, inLayer) {
+	let names = {};
+	let dest = {};
+	let cycles = [];
+
+	for (let f in faces) {
+		for (let i = 0; i < 11; i++) {
+			names[megaKey(megaCentre(faces[f].stickers[i]))] = f + (i + 1);
+		}
+	}
+
+	for (let f in faces) {
+		for (let i = 0; i < 11; i++) {
+			let p = megaCentre(faces[f].stickers[i]);
+			if (inLayer(p)) {
+				dest[f + (i + 1)] = names[megaKey(vRotate(p, axis, -fifths * 2 * Math.PI / 5))];
+			}
+		}
+	}
+
+	let seen = {};
+	for (let name in dest) {
+		if (seen[name] || dest[name] == name) {
+			continue;
+		}
+		let cycle = [];
+		for (let k = name; !seen[k]; k = dest[k]) {
+			seen[k] = true;
+			cycle.push(k);
+		}
+		cycles.push(cycle.join(" "));
+	}
+
+	return cycles;
+}
+
+/* is p in the layer of face f: the face and the edges and corners around it */
+function megaLayer(faces, f, p) {
+	let n = faces[f].normal;
+	return vDot(p, n) > 0.7 * vDot(megaCentre(faces[f].vertices), n);
+}
+
+const megaShape = megaGeometry();
+
+var puzzleM = definePuzzle({
+	name: "mega",
+	title: "megaminx",
+	faces: megaFaces,
+	faceSize: 11,
+	colours: megaColours,
+	moves: {
+		"U": megaCycles(megaShape, megaShape["U"].normal, 1, function(p) { return megaLayer(megaShape, "U", p); }),
+		"R": megaCycles(megaShape, megaShape["DBR"].normal, 2, function(p) { return !megaLayer(megaShape, "L", p); }),
+		"D": megaCycles(megaShape, megaShape["D"].normal, 2, function(p) { return !megaLayer(megaShape, "U", p); })
+	},
+	shapes: megaShapes
+});
+
+/*
+	The net as on scramble sheets: U in the middle of the left star with F below it,
+	D in the middle of the right star, hanging off the left star's R face through DR,
+	with edges size long.
+*/
+function megaNet(size) {
+	let faces = megaShape;
+	let u = faces["U"];
+	let scale = size / Math.sqrt(vDot(vSub(u.vertices[1], u.vertices[0]), vSub(u.vertices[1], u.vertices[0])));
+	let placed = {};
+
+	/* lay face f flat against the already placed face next to it, folding out along their shared edge */
+	let place = function(f, from) {
+		let face = faces[f];
+		let k = face.neighbours.indexOf(from);
+		let a = face.vertices[(k + 1) % 5];
+		let e1 = vUnit(vSub(face.vertices[k], a));
+		let e2 = vSub(megaCentre(face.vertices), a);
+		e2 = vUnit(vSub(e2, vScale(e1, vDot(e2, e1))));
+
+		let other = placed[from];
+		let k2 = faces[from].neighbours.indexOf(f);
+		let a2 = other.vertices[k2];
+		let c2 = other.vertices[(k2 + 1) % 5];
+		let len = Math.sqrt((c2[0] - a2[0]) * (c2[0] - a2[0]) + (c2[1] - a2[1]) * (c2[1] - a2[1]));
+		let E1 = [(c2[0] - a2[0]) / len, (c2[1] - a2[1]) / len];
+		let E2 = [-E1[1], E1[0]];
+		if ((other.centre[0] - a2[0]) * E2[0] + (other.centre[1] - a2[1]) * E2[1] > 0) {
+			E2 = [E1[1], -E1[0]];
+		}
+
+		placed[f] = megaPlaced(face, function(p) {
+			let d = vSub(p, a);
+			let s = vDot(d, e1) * scale;
+			let t = vDot(d, e2) * scale;
+			return [a2[0] + s * E1[0] + t * E2[0], a2[1] + s * E1[1] + t * E2[1]];
+		});
+	};
+
+	placed["U"] = megaPlaced(u, function(p) {
+		return [p[0] * scale, p[2] * scale];
+	});
+	for (let k = 0; k < 5; k++) {
+		place(u.neighbours[k], "U");
+	}
+	place("DR", "R");
+	place("D", "DR");
+	for (let k = 0; k < 5; k++) {
+		if (faces["D"].neighbours[k] != "DR") {
+			place(faces["D"].neighbours[k], "D");
+		}
+	}
+
+	return placed;
+}
+
+function megaPlaced(face, map) {
+	let vertices = face.vertices.map(map);
+	let stickers = face.stickers.map(function(points) { return points.map(map); });
+	let centre = [0, 0];
+
+	for (let i = 0; i < 5; i++) {
+		centre = [centre[0] + vertices[i][0] / 5, centre[1] + vertices[i][1] / 5];
+	}
+
+	return { vertices: vertices, stickers: stickers, centre: centre };
+}
+
+/* the net with the faces of each star moved out from its middle by the gap, and the stars apart */
+function megaShapes(options) {
+	let placed = megaNet(options.size);
+	let shapes = {};
+
+	let away = function(f, from, gap) {
+		let d = [placed[f].centre[0] - placed[from].centre[0], placed[f].centre[1] - placed[from].centre[1]];
+		let len = Math.sqrt(d[0] * d[0] + d[1] * d[1]);
+		return [d[0] / len * gap, d[1] / len * gap];
+	};
+	let star = away("R", "U", 3 * options.gap);
+
+	for (let f in placed) {
+		let shift = [0, 0];
+		if (f == "D") {
+			shift = star;
+		} else if (megaShape["U"].neighbours.indexOf(f) != -1) {
+			shift = away(f, "U", options.gap);
+		} else if (f != "U") {
+			let out = away(f, "D", options.gap);
+			shift = [star[0] + out[0], star[1] + out[1]];
+		}
+
+		for (let i = 0; i < 11; i++) {
+			shapes[f + (i + 1)] = placed[f].stickers[i].map(function(p) { return [p[0] + shift[0], p[1] + shift[1]]; });
+		}
+	}
+
+	return shapes;
+}
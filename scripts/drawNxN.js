@@ -0,0 +1,125 @@
+/*
+	Cubes of any size, laid out in the same net as the 3x3x3 with n x n stickers a face,
+	numbered row by row (U1 .. U16 on a 4x4x4).
+
+	The moves are worked out from where each sticker sits in space: x points to R, y to U
+	and z to F, with coordinates going -(n-1), -(n-3) .. n-1 across a face and +-n off it.
+	A turn takes every sticker in its layers and rotates it a quarter turn clockwise
+	seen from the turning face.
+*/
+
+const nxnAxes = {
+	"R": [0, 1], "L": [0, -1],
+	"U": [1, 1], "D": [1, -1],
+	"F": [2, 1], "B": [2, -1]
+};
+
+function nxnStickerPos(n, face, row, col) {
+	let a = 2 * col - (n - 1);
+	let d = 2 * row - (n - 1);
+
+	switch (face) {
+		case "U": return [a, n, d];
+		case "L": return [-n, -d, a];
+		case "F": return [a, -d, n];
+		case "R": return [n, -d, -a];
+		case "B": return [-a, -d, -n];
+		case "D": return [a, -n, -d];
+	}
+}
+
+/* quarter turn of p around an axis, clockwise seen from the positive end */
+function nxnRotate(p, axis) {
+	switch (axis) {
+		case 0: return [p[0], p[2], -p[1]];
+		case 1: return [-p[2], p[1], p[0]];
+		case 2: return [p[1], -p[0], p[2]];
+	}
+}
+
+/* cycles of the turn of layers lo..hi, counted from the face, done clockwise from that face */
+function nxnCycles(n, positions, face, lo, hi) {
+	let axis = nxnAxes[face][0];
+	let sign = nxnAxes[face][1];
+	let dest = {};
+	let cycles = [];
+
+	for (let name in positions) {
+		let p = positions[name];
+		let v = Math.max(-(n - 1), Math.min(n - 1, sign * p[axis]));
+		let layer = (n - 1 - v) / 2 + 1;
+
+		if (layer < lo || layer > hi) {
+			continue;
+		}
+		let q = sign > 0 ? nxnRotate(p, axis) : nxnRotate(nxnRotate(nxnRotate(p, axis), axis), axis);
+		dest[name] = q.join(",");
+	}
+
+	let names = {};
+	for (let name in positions) {
+		names[positions[name].join(",")] = name;
+	}
+
+	let seen = {};
+	for (let name in dest) {
+		if (seen[name] || names[dest[name]] == name) {
+			continue;
+		}
+		let cycle = [];
+		for (let k = name; !seen[k]; k = names[dest[k]]) {
+			seen[k] = true;
+			cycle.push(k);
+		}
+		cycles.push(cycle.join(" "));
+	}
+
+	return cycles;
+}
+
+function defineNxN(n) {
+	let faces = ["U", "L", "F", "R", "B", "D"];
+	let positions = {};
+	let moves = {};
+
+	for (let f = 0; f < faces.length; f++) {
+		for (let i = 0; i < n * n; i++) {
+			positions[faces[f] + (i + 1)] = nxnStickerPos(n, faces[f], Math.floor(i / n), i % n);
+		}
+	}
+
+	for (let f = 0; f < faces.length; f++) {
+		let face = faces[f];
+		moves[face] = nxnCycles(n, positions, face, 1, 1);
+
+		for (let k = 2; k < n; k++) {
+			moves[(k == 2 ? "" : k) + face + "w"] = nxnCycles(n, positions, face, 1, k);
+			moves[k + face] = nxnCycles(n, positions, face, k, k);
+		}
+	}
+
+	if (n % 2 == 1) {
+		let mid = (n + 1) / 2;
+		moves["M"] = nxnCycles(n, positions, "L", mid, mid);
+		moves["E"] = nxnCycles(n, positions, "D", mid, mid);
+		moves["S"] = nxnCycles(n, positions, "F", mid, mid);
+	}
+	moves["x"] = nxnCycles(n, positions, "R", 1, n);
+	moves["y"] = nxnCycles(n, positions, "U", 1, n);
+	moves["z"] = nxnCycles(n, positions, "F", 1, n);
+
+	return definePuzzle({
+		name: "" + n + n + n,
+		title: n + "x" + n + "x" + n,
+		size: n,
+		faces: faces,
+		faceSize: n * n,
+		colours: [w, o, g, r, b, y],
+		moves: moves,
+		shapes: function(options) { return cubeNetShapes(n, options); }
+	});
+}
+
+for (let n = 4; n <= 7; n++) {
+	defineNxN(n);
+}
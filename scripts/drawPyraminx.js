@@ -1,9 +1,3 @@
-
-var cubeP = [[r, r, r, r, r, r, r, r, r],
-			 [g, g, g, g, g, g, g, g, g],
-			 [b, b, b, b, b, b, b, b, b],
-			 [y, y, y, y, y, y, y, y, y]];
-
 /* l1 l2 l3 l4 l5     f1     r1 r2 r3 r4 r5
 
 	   l6 l7 l8     f2 f3 f4     r6 r7 r8
@@ -18,165 +12,61 @@ var cubeP = [[r, r, r, r, r, r, r, r, r],
 	                   d9
 */
 
-function drawCubeP(scram) {
-	initCubeArr("pyram");
-
-	let scr = getSequence("3", scram);
-	let temp;
-	
-	for (let i = 0; i < scr.length; i++) {
-		switch (scr[i]) {
-			case "R":
-				temp = cubeP[1][3];
-				cubeP[1][3] = cubeP[3][2];
-				cubeP[3][2] = cubeP[2][7];
-				cubeP[2][7] = temp;
-
-				temp = cubeP[1][6];
-				cubeP[1][6] = cubeP[3][7];
-				cubeP[3][7] = cubeP[2][5];
-				cubeP[2][5] = temp;
-
-				temp = cubeP[1][7];
-				cubeP[1][7] = cubeP[3][3];
-				cubeP[3][3] = cubeP[2][6];
-				cubeP[2][6] = temp;
-
-				temp = cubeP[1][8];
-				cubeP[1][8] = cubeP[3][4];
-				cubeP[3][4] = cubeP[2][8];
-				cubeP[2][8] = temp;
-				break;
-
-			case "L":
-				temp = cubeP[1][1];
-				cubeP[1][1] = cubeP[0][5];
-				cubeP[0][5] = cubeP[3][2];
-				cubeP[3][2] = temp;
-
-				temp = cubeP[1][6];
-				cubeP[1][6] = cubeP[0][7];
-				cubeP[0][7] = cubeP[3][5];
-				cubeP[3][5] = temp;
-
-				temp = cubeP[1][5];
-				cubeP[1][5] = cubeP[0][6];
-				cubeP[0][6] = cubeP[3][1];
-				cubeP[3][1] = temp;
-
-				temp = cubeP[1][4];
-				cubeP[1][4] = cubeP[0][8];
-				cubeP[0][8] = cubeP[3][0];
-				cubeP[3][0] = temp;
-				break;
-
-			case "U":
-				temp = cubeP[1][1];
-				cubeP[1][1] = cubeP[2][5];
-				cubeP[2][5] = cubeP[0][2];
-				cubeP[0][2] = temp;
-
-				temp = cubeP[1][3];
-				cubeP[1][3] = cubeP[2][2];
-				cubeP[2][2] = cubeP[0][7];
-				cubeP[0][7] = temp;
-
-				temp = cubeP[1][2];
-				cubeP[1][2] = cubeP[2][1];
-				cubeP[2][1] = cubeP[0][3];
-				cubeP[0][3] = temp;
-
-				temp = cubeP[1][0];
-				cubeP[1][0] = cubeP[2][0];
-				cubeP[2][0] = cubeP[0][4];
-				cubeP[0][4] = temp;
-				break;
-
-			case "B":
-				temp = cubeP[2][2];
-				cubeP[2][2] = cubeP[3][7];
-				cubeP[3][7] = cubeP[0][5];
-				cubeP[0][5] = temp;
-
-				temp = cubeP[2][7];
-				cubeP[2][7] = cubeP[3][5];
-				cubeP[3][5] = cubeP[0][2];
-				cubeP[0][2] = temp;
-
-				temp = cubeP[2][3];
-				cubeP[2][3] = cubeP[3][6];
-				cubeP[3][6] = cubeP[0][1];
-				cubeP[0][1] = temp;
-
-				temp = cubeP[2][4];
-				cubeP[2][4] = cubeP[3][8];
-				cubeP[3][8] = cubeP[0][0];
-				cubeP[0][0] = temp;
-				break;
-
-			case "r":
-				temp = cubeP[1][8];
-				cubeP[1][8] = cubeP[3][4];
-				cubeP[3][4] = cubeP[2][8];
-				cubeP[2][8] = temp;
-				break;
-
-			case "l":
-				temp = cubeP[1][4];
-				cubeP[1][4] = cubeP[0][8];
-				cubeP[0][8] = cubeP[3][0];
-				cubeP[3][0] = temp;
-				break;
-
-			case "u":
-				temp = cubeP[1][0];
-				cubeP[1][0] = cubeP[2][0];
-				cubeP[2][0] = cubeP[0][4];
-				cubeP[0][4] = temp;
-				break;
-
-			case "b":
-				temp = cubeP[2][4];
-				cubeP[2][4] = cubeP[3][8];
-				cubeP[3][8] = cubeP[0][0];
-				cubeP[0][0] = temp;
-				break;
+var puzzleP = definePuzzle({
+	name: "pyram",
+	title: "pyraminx",
+	faces: ["L", "F", "R", "D"],
+	faceSize: 9,
+	colours: [r, g, b, y],
+	moves: {
+		"R": ["F4 R8 D3", "F7 R6 D8", "F8 R7 D4", "F9 R9 D5"],
+		"L": ["F2 D3 L6", "F7 D6 L8", "F6 D2 L7", "F5 D1 L9"],
+		"U": ["F2 L3 R6", "F4 L8 R3", "F3 L4 R2", "F1 L5 R1"],
+		"B": ["R3 L6 D8", "R8 L3 D6", "R4 L2 D7", "R5 L1 D9"],
+		"r": ["F9 R9 D5"],
+		"l": ["F5 D1 L9"],
+		"u": ["F1 L5 R1"],
+		"b": ["R5 L1 D9"]
+	},
+	shapes: pyraminxShapes
+});
+
+/* L, F and R side by side, pointing down, up and down, with D under F */
+function pyraminxShapes(options) {
+	let s = options.size;
+	let h = s * Math.sqrt(3) / 2;
+	let gap = options.gap;
+	let shapes = {};
+
+	pyraminxFace(shapes, "L", 0, 0, s, h, false);
+	pyraminxFace(shapes, "F", 3 * s + gap, 0, s, h, true);
+	pyraminxFace(shapes, "R", 3 * s + 2 * gap, 0, s, h, false);
+	pyraminxFace(shapes, "D", 1.5 * s + gap, 3 * h + gap, s, h, false);
+
+	return shapes;
+}
+
+/*
+	The 9 stickers of a face row by row, from (x, y): the left end of the top edge of a face
+	pointing down, or the top corner of one pointing up.
+*/
+function pyraminxFace(shapes, face, x, y, s, h, up) {
+	let i = 1;
+
+	for (let row = 0; row < 3; row++) {
+		let top = y + row * h;
+		let left = up ? x - (row + 1) * s / 2 : x + row * s / 2;
+		let count = up ? 2 * row + 1 : 5 - 2 * row;
+
+		for (let j = 0; j < count; j++) {
+			let a = left + Math.floor(j / 2) * s + (j % 2) * s / 2;
+
+			if ((j % 2 == 0) == up) {
+				shapes[face + i] = [[a, top + h], [a + s / 2, top], [a + s, top + h]];
+			} else {
+				shapes[face + i] = [[a, top], [a + s / 2, top + h], [a + s, top]];
+			}
+			i++;
 		}
 	}
-	document.getElementById("pyram_L1").style.fill = cubeP[0][0];
-	document.getElementById("pyram_L2").style.fill = cubeP[0][1];
-	document.getElementById("pyram_L3").style.fill = cubeP[0][2];
-	document.getElementById("pyram_L4").style.fill = cubeP[0][3];
-	document.getElementById("pyram_L5").style.fill = cubeP[0][4];
-	document.getElementById("pyram_L6").style.fill = cubeP[0][5];
-	document.getElementById("pyram_L7").style.fill = cubeP[0][6];
-	document.getElementById("pyram_L8").style.fill = cubeP[0][7];
-	document.getElementById("pyram_L9").style.fill = cubeP[0][8];
-	document.getElementById("pyram_F1").style.fill = cubeP[1][0];
-	document.getElementById("pyram_F2").style.fill = cubeP[1][1];
-	document.getElementById("pyram_F3").style.fill = cubeP[1][2];
-	document.getElementById("pyram_F4").style.fill = cubeP[1][3];
-	document.getElementById("pyram_F5").style.fill = cubeP[1][4];
-	document.getElementById("pyram_F6").style.fill = cubeP[1][5];
-	document.getElementById("pyram_F7").style.fill = cubeP[1][6];
-	document.getElementById("pyram_F8").style.fill = cubeP[1][7];
-	document.getElementById("pyram_F9").style.fill = cubeP[1][8];
-	document.getElementById("pyram_R1").style.fill = cubeP[2][0];
-	document.getElementById("pyram_R2").style.fill = cubeP[2][1];
-	document.getElementById("pyram_R3").style.fill = cubeP[2][2];
-	document.getElementById("pyram_R4").style.fill = cubeP[2][3];
-	document.getElementById("pyram_R5").style.fill = cubeP[2][4];
-	document.getElementById("pyram_R6").style.fill = cubeP[2][5];
-	document.getElementById("pyram_R7").style.fill = cubeP[2][6];
-	document.getElementById("pyram_R8").style.fill = cubeP[2][7];
-	document.getElementById("pyram_R9").style.fill = cubeP[2][8];
-	document.getElementById("pyram_D1").style.fill = cubeP[3][0];
-	document.getElementById("pyram_D2").style.fill = cubeP[3][1];
-	document.getElementById("pyram_D3").style.fill = cubeP[3][2];
-	document.getElementById("pyram_D4").style.fill = cubeP[3][3];
-	document.getElementById("pyram_D5").style.fill = cubeP[3][4];
-	document.getElementById("pyram_D6").style.fill = cubeP[3][5];
-	document.getElementById("pyram_D7").style.fill = cubeP[3][6];
-	document.getElementById("pyram_D8").style.fill = cubeP[3][7];
-	document.getElementById("pyram_D9").style.fill = cubeP[3][8];
 }
\ No newline at end of file
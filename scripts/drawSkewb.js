@@ -1,11 +1,3 @@
-
-var cubeS = [[w, w, w, w, w],
-				 [o, o, o, o, o],
-				 [g, g, g, g, g],
-				 [r, r, r, r, r],
-				 [b, b, b, b, b],
-				 [y, y, y, y, y]];
-
 /*               u1
 		       u2  u3  u4
 		           u5
@@ -17,152 +9,50 @@ l4  l5    f4  f5    r4  r5	   b4  b5
 				     d5
 */
 
-function drawCubeS(scram) {
-	initCubeArr("skb");
-
-	let scr = getSequence("3", scram);
-	let temp;
-
-	for (let i = 0; i < scr.length; i++) {
-		switch (scr[i]) {
-			case "R":
-				temp = cubeS[3][3];
-				cubeS[3][3] = cubeS[5][4];
-				cubeS[5][4] = cubeS[4][0];
-				cubeS[4][0] = temp;
-
-				temp = cubeS[3][1];
-				cubeS[3][1] = cubeS[5][0];
-				cubeS[5][0] = cubeS[4][4];
-				cubeS[4][4] = temp;
-
-				temp = cubeS[0][3];
-				cubeS[0][3] = cubeS[2][4];
-				cubeS[2][4] = cubeS[1][3];
-				cubeS[1][3] = temp;
-
-				temp = cubeS[3][4];
-				cubeS[3][4] = cubeS[5][3];
-				cubeS[5][3] = cubeS[4][3];
-				cubeS[4][3] = temp;
-
-				temp = cubeS[3][2];
-				cubeS[3][2] = cubeS[5][2];
-				cubeS[5][2] = cubeS[4][2];
-				cubeS[4][2] = temp;
-				break;
-
-			case "L":
-				temp = cubeS[2][0];
-				cubeS[2][0] = cubeS[1][3];
-				cubeS[1][3] = cubeS[5][0];
-				cubeS[5][0] = temp;
-
-				temp = cubeS[1][1];
-				cubeS[1][1] = cubeS[5][4];
-				cubeS[5][4] = cubeS[2][4];
-				cubeS[2][4] = temp;
-
-				temp = cubeS[0][1];
-				cubeS[0][1] = cubeS[4][4];
-				cubeS[4][4] = cubeS[3][3];
-				cubeS[3][3] = temp;
-
-				temp = cubeS[2][3];
-				cubeS[2][3] = cubeS[1][4];
-				cubeS[1][4] = cubeS[5][1];
-				cubeS[5][1] = temp;
-
-				temp = cubeS[2][2];
-				cubeS[2][2] = cubeS[1][2];
-				cubeS[1][2] = cubeS[5][2];
-				cubeS[5][2] = temp;
-				break;
-
-			case "U":
-				temp = cubeS[0][1];
-				cubeS[0][1] = cubeS[4][0];
-				cubeS[4][0] = cubeS[1][3];
-				cubeS[1][3] = temp;
-
-				temp = cubeS[0][3];
-				cubeS[0][3] = cubeS[4][4];
-				cubeS[4][4] = cubeS[1][1];
-				cubeS[1][1] = temp;
-
-				temp = cubeS[2][0];
-				cubeS[2][0] = cubeS[3][1];
-				cubeS[3][1] = cubeS[5][4];
-				cubeS[5][4] = temp;
-
-				temp = cubeS[0][0];
-				cubeS[0][0] = cubeS[4][1];
-				cubeS[4][1] = cubeS[1][0];
-				cubeS[1][0] = temp;
-
-				temp = cubeS[0][2];
-				cubeS[0][2] = cubeS[4][2];
-				cubeS[4][2] = cubeS[1][2];
-				cubeS[1][2] = temp;
-				break;
-
-			case "B":
-				temp = cubeS[0][0];
-				cubeS[0][0] = cubeS[3][4];
-				cubeS[3][4] = cubeS[2][3];
-				cubeS[2][3] = temp;
-
-				temp = cubeS[1][0];
-				cubeS[1][0] = cubeS[4][3];
-				cubeS[4][3] = cubeS[5][1];
-				cubeS[5][1] = temp;
-
-				temp = cubeS[4][1];
-				cubeS[4][1] = cubeS[5][3];
-				cubeS[5][3] = cubeS[1][4];
-				cubeS[1][4] = temp;
-
-				temp = cubeS[4][4];
-				cubeS[4][4] = cubeS[5][4];
-				cubeS[5][4] = cubeS[1][3];
-				cubeS[1][3] = temp;
-
-				temp = cubeS[4][2];
-				cubeS[4][2] = cubeS[5][2];
-				cubeS[5][2] = cubeS[1][2];
-				cubeS[1][2] = temp;
-				break;
+var puzzleS = definePuzzle({
+	name: "skb",
+	title: "skewb",
+	faces: ["U", "L", "F", "R", "B", "D"],
+	faceSize: 5,
+	colours: [w, o, g, r, b, y],
+	moves: {
+		"R": ["R4 B1 D5", "R2 B5 D1", "U4 L4 F5", "R5 B4 D4", "R3 B3 D3"],
+		"L": ["F1 D1 L4", "L2 F5 D5", "U2 R4 B5", "F4 D2 L5", "F3 D3 L3"],
+		"U": ["U2 L4 B1", "U4 L2 B5", "F1 D5 R2", "U1 L1 B2", "U3 L3 B3"],
+		"B": ["U1 F4 R5", "L1 D2 B4", "B2 L5 D4", "B5 L4 D5", "B3 L3 D3"]
+	},
+	shapes: skewbShapes
+});
+
+/*
+	The stickers as points on a grid, each step 1.5 sticker sizes across and 0.9 down:
+	U at the top, L F R B below it and D under F. The faces move apart by the gap.
+*/
+const skewbGrid = {
+	"U": [[4, 0, 3, 1, 5, 1], [3, 1, 2, 2, 3, 3], [3, 1, 5, 1, 5, 3, 3, 3], [5, 1, 6, 2, 5, 3], [3, 3, 5, 3, 4, 4]],
+	"L": [[0, 0, 1, 1, 0, 2], [1, 1, 2, 2, 2, 4], [1, 1, 2, 4, 1, 5, 0, 2], [0, 2, 1, 5, 0, 4], [2, 4, 2, 6, 1, 5]],
+	"F": [[2, 2, 3, 3, 2, 4], [3, 3, 4, 4, 4, 6], [3, 3, 4, 6, 3, 7, 2, 4], [2, 4, 3, 7, 2, 6], [4, 6, 4, 8, 3, 7]],
+	"R": [[4, 4, 5, 3, 4, 6], [5, 3, 6, 2, 6, 4], [5, 3, 6, 4, 5, 7, 4, 6], [4, 6, 5, 7, 4, 8], [6, 4, 6, 6, 5, 7]],
+	"B": [[6, 2, 7, 1, 6, 4], [7, 1, 8, 0, 8, 2], [7, 1, 8, 2, 7, 5, 6, 4], [6, 4, 7, 5, 6, 6], [8, 2, 8, 4, 7, 5]],
+	"D": [[3, 7, 4, 8, 4, 10], [2, 6, 3, 7, 2, 8], [3, 7, 4, 10, 3, 11, 2, 8], [4, 10, 4, 12, 3, 11], [2, 8, 3, 11, 2, 10]]
+};
+
+const skewbOffsets = { "U": [0, 0], "L": [-1, 1], "F": [0, 1], "R": [1, 1], "B": [2, 1], "D": [0, 2] };
+
+function skewbShapes(options) {
+	let shapes = {};
+
+	for (let face in skewbGrid) {
+		for (let i = 0; i < 5; i++) {
+			let grid = skewbGrid[face][i];
+			let points = [];
+			for (let k = 0; k < grid.length; k += 2) {
+				points.push([grid[k] * 1.5 * options.size + skewbOffsets[face][0] * options.gap,
+					grid[k + 1] * 0.9 * options.size + skewbOffsets[face][1] * options.gap]);
+			}
+			shapes[face + (i + 1)] = points;
 		}
 	}
-	//console.table(cubeS);
-	document.getElementById("skb_U1").style.fill = cubeS[0][0];
-	document.getElementById("skb_U2").style.fill = cubeS[0][1];
-	document.getElementById("skb_U3").style.fill = cubeS[0][2];
-	document.getElementById("skb_U4").style.fill = cubeS[0][3];
-	document.getElementById("skb_U5").style.fill = cubeS[0][4];
-	document.getElementById("skb_L1").style.fill = cubeS[1][0];
-	document.getElementById("skb_L2").style.fill = cubeS[1][1];
-	document.getElementById("skb_L3").style.fill = cubeS[1][2];
-	document.getElementById("skb_L4").style.fill = cubeS[1][3];
-	document.getElementById("skb_L5").style.fill = cubeS[1][4];
-	document.getElementById("skb_F1").style.fill = cubeS[2][0];
-	document.getElementById("skb_F2").style.fill = cubeS[2][1];
-	document.getElementById("skb_F3").style.fill = cubeS[2][2];
-	document.getElementById("skb_F4").style.fill = cubeS[2][3];
-	document.getElementById("skb_F5").style.fill = cubeS[2][4];
-	document.getElementById("skb_R1").style.fill = cubeS[3][0];
-	document.getElementById("skb_R2").style.fill = cubeS[3][1];
-	document.getElementById("skb_R3").style.fill = cubeS[3][2];
-	document.getElementById("skb_R4").style.fill = cubeS[3][3];
-	document.getElementById("skb_R5").style.fill = cubeS[3][4];
-	document.getElementById("skb_B1").style.fill = cubeS[4][0];
-	document.getElementById("skb_B2").style.fill = cubeS[4][1];
-	document.getElementById("skb_B3").style.fill = cubeS[4][2];
-	document.getElementById("skb_B4").style.fill = cubeS[4][3];
-	document.getElementById("skb_B5").style.fill = cubeS[4][4];
-	document.getElementById("skb_D1").style.fill = cubeS[5][0];
-	document.getElementById("skb_D2").style.fill = cubeS[5][1];
-	document.getElementById("skb_D3").style.fill = cubeS[5][2];
-	document.getElementById("skb_D4").style.fill = cubeS[5][3];
-	document.getElementById("skb_D5").style.fill = cubeS[5][4];
+
+	return shapes;
 }
\ No newline at end of file
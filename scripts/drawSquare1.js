@@ -0,0 +1,140 @@
+/*
+	Square-1. Each layer is 12 slots of 30 degrees, numbered clockwise seen from the top
+	starting just right of the slice cut at the back, so the slash turns slots 1-6 of
+	both layers. An edge fills one slot, a corner two. D is numbered the same way, as
+	if seen through U.
+
+	A slot holds the piece in it and the side colour showing in that slot, "UFR.F".
+	M1 and M2 are the front and back of the right half of the middle layer.
+
+	(x, y) turns the top x slots clockwise seen from the top and the bottom y slots
+	clockwise seen from the bottom; / turns the right half over.
+*/
+
+const square1Sides = { "U": w, "D": y, "F": g, "R": r, "B": b, "L": o };
+
+function square1Cycle(layer, step) {
+	let cycle = [];
+
+	for (let i = 0; i < 12; i++) {
+		cycle.push(layer + ((12 + i * step) % 12 + 1));
+	}
+
+	return [cycle.join(" ")];
+}
+
+var puzzleSq1 = definePuzzle({
+	name: "sq1",
+	title: "Square-1",
+	stickers: ["U1", "U2", "U3", "U4", "U5", "U6", "U7", "U8", "U9", "U10", "U11", "U12",
+		"D1", "D2", "D3", "D4", "D5", "D6", "D7", "D8", "D9", "D10", "D11", "D12", "M1", "M2"],
+	solved: ["UBR.B", "UBR.R", "UR.R", "UFR.R", "UFR.F", "UF.F", "UFL.F", "UFL.L", "UL.L", "UBL.L", "UBL.B", "UB.B",
+		"DBR.B", "DBR.R", "DR.R", "DFR.R", "DFR.F", "DF.F", "DFL.F", "DFL.L", "DL.L", "DBL.L", "DBL.B", "DB.B", "F", "B"],
+	moves: {
+		"U": square1Cycle("U", 1),
+		"D": square1Cycle("D", -1),
+		"/": ["U1 D6", "U2 D5", "U3 D4", "U4 D3", "U5 D2", "U6 D1", "M1 M2"]
+	},
+	check: square1Check,
+	svg: square1Svg
+});
+
+function square1Piece(state, layer, slot) {
+	return state[layer * 12 + (slot + 12) % 12].split(".")[0];
+}
+
+/* a slash can't go through a corner, so both layers need a piece boundary at slots 12|1 and 6|7 */
+function square1Blocked(state) {
+	let names = ["top", "bottom"];
+
+	for (let layer = 0; layer < 2; layer++) {
+		if (square1Piece(state, layer, -1) == square1Piece(state, layer, 0) ||
+			square1Piece(state, layer, 5) == square1Piece(state, layer, 6)) {
+			return "a " + names[layer] + " corner is across the slice";
+		}
+	}
+
+	return null;
+}
+
+function square1Check(moves) {
+	let state = puzzleSq1.solved.slice();
+	let errors = [];
+
+	for (let i = 0; i < moves.length; i++) {
+		let m = moves[i];
+
+		if (m.base == "/") {
+			let blocked = square1Blocked(state);
+			if (blocked != null) {
+				errors.push({ text: m.text, pos: m.pos, reason: "can't slash here, " + blocked });
+				continue;
+			}
+		}
+		state = applyPerm(state, turnPerm(puzzleSq1, m.base, m.amount));
+	}
+
+	return errors;
+}
+
+/* the pieces of one layer round (cx, cy), d from the middle to an edge; down is 1 for the top view and -1 for the bottom one */
+function square1LayerShapes(state, layer, cx, cy, d, down) {
+	let edge = d / Math.cos(Math.PI / 12);
+	let corner = d * Math.SQRT2;
+	let rim = 1.15;
+	let shapes = [];
+
+	let point = function(deg, radius) {
+		let a = deg * Math.PI / 180;
+		return [cx + radius * Math.sin(a), cy - down * radius * Math.cos(a)];
+	};
+	let polygon = function(points, fill) {
+		shapes.push({ points: points, fill: fill });
+	};
+
+	let start = 0;
+	while (square1Piece(state, layer, start - 1) == square1Piece(state, layer, start)) {
+		start++;
+	}
+
+	for (let k = start; k < start + 12; k++) {
+		let slot = state[layer * 12 + k % 12].split(".");
+		let deg = 15 + 30 * k;
+		let cap = square1Sides[slot[0][0]];
+
+		if (square1Piece(state, layer, k + 1) == slot[0]) {
+			let next = state[layer * 12 + (k + 1) % 12].split(".");
+			polygon([point(0, 0), point(deg, edge), point(deg + 30, corner), point(deg + 60, edge)], cap);
+			polygon([point(deg, edge), point(deg + 30, corner), point(deg + 30, corner * rim), point(deg, edge * rim)], square1Sides[slot[1]]);
+			polygon([point(deg + 30, corner), point(deg + 60, edge), point(deg + 60, edge * rim), point(deg + 30, corner * rim)], square1Sides[next[1]]);
+			k++;
+		} else {
+			polygon([point(0, 0), point(deg, edge), point(deg + 30, edge)], cap);
+			polygon([point(deg, edge), point(deg + 30, edge), point(deg + 30, edge * rim), point(deg, edge * rim)], square1Sides[slot[1]]);
+		}
+	}
+
+	return shapes;
+}
+
+/*
+	Top and bottom views side by side, the bottom one as seen from below with F at the top,
+	and the front of the middle layer underneath: the right half is longer than the left
+	until it is turned over. An edge is two sizes from the middle of its layer.
+*/
+function square1Svg(state, options) {
+	let d = 2 * options.size;
+	let cut = d * Math.tan(Math.PI / 12);
+	let outer = d * Math.SQRT2 * 1.15;
+	let space = options.size / 4 + options.gap;
+	let middle = outer + space / 2;
+	let right = state[24] == "F" ? d + cut : d - cut;
+	let bar = outer + space;
+	let height = 0.3 * d;
+
+	let shapes = square1LayerShapes(state, 0, 0, 0, d, 1).concat(square1LayerShapes(state, 1, 2 * outer + space, 0, d, -1));
+	shapes.push({ points: [[middle - (d - cut), bar], [middle, bar], [middle, bar + height], [middle - (d - cut), bar + height]], fill: square1Sides["F"] });
+	shapes.push({ points: [[middle, bar], [middle + right, bar], [middle + right, bar + height], [middle, bar + height]], fill: square1Sides[state[24]] });
+
+	return svgPolygons(shapes, options);
+}
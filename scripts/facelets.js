@@ -0,0 +1,80 @@
+/*
+	Facelet strings, the way solvers and robots pass a cube around: every sticker as the
+	letter of the face its colour belongs to, faces in the order U R F D L B and each one
+	row by row as on the net, "UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB"
+	for a solved 3x3x3 and 24 letters for a 2x2x2.
+
+	A colour belongs to the face whose centre has it, so a turned cube still reads; cubes
+	with no middle sticker go by the colours the puzzle starts with.
+*/
+
+const faceletFaces = ["U", "R", "F", "D", "L", "B"];
+
+/* the cubes have faces of n by n stickers, U L F R B D */
+function hasFacelets(puzzle) {
+	let n = Math.round(Math.sqrt(puzzle.faceSize));
+	return puzzle.faces != null && puzzle.faces.join("") == "ULFRBD" && n * n == puzzle.faceSize;
+}
+
+function checkFaceletPuzzle(puzzle) {
+	if (!hasFacelets(puzzle)) {
+		throw new Error(puzzle.title + " has no facelet strings, only the cubes do");
+	}
+}
+
+/* the face letter of each colour */
+function faceletLetters(puzzle, state) {
+	let letters = {};
+	let centre = puzzle.faceSize % 2 == 1 ? (puzzle.faceSize + 1) / 2 : 1;
+	let colours = puzzle.faceSize % 2 == 1 ? state : puzzle.solved;
+
+	for (let f = 0; f < puzzle.faces.length; f++) {
+		letters[colours[puzzle.index[puzzle.faces[f] + centre]]] = puzzle.faces[f];
+	}
+
+	return letters;
+}
+
+function faceletString(puzzle, state) {
+	checkFaceletPuzzle(puzzle);
+
+	let letters = faceletLetters(puzzle, state);
+	let s = "";
+	for (let f = 0; f < faceletFaces.length; f++) {
+		for (let i = 1; i <= puzzle.faceSize; i++) {
+			let letter = letters[state[puzzle.index[faceletFaces[f] + i]]];
+			if (letter == null) {
+				throw new Error(faceletFaces[f] + i + " has a colour no face has");
+			}
+			s += letter;
+		}
+	}
+
+	return s;
+}
+
+/* the state a facelet string describes, coloured as the puzzle is when solved */
+function faceletState(puzzle, s) {
+	checkFaceletPuzzle(puzzle);
+
+	s = s.replace(/\s/g, "").toUpperCase();
+	if (s.length != 6 * puzzle.faceSize) {
+		throw new Error("a " + puzzle.title + " facelet string has " + 6 * puzzle.faceSize + " letters, not " + s.length);
+	}
+
+	let colours = faceletLetters(puzzle, puzzle.solved);
+	let colourOf = {};
+	for (let c in colours) {
+		colourOf[colours[c]] = c;
+	}
+
+	let state = puzzle.solved.slice();
+	for (let i = 0; i < s.length; i++) {
+		if (colourOf[s[i]] == null) {
+			throw new Error("facelet " + (i + 1) + " is " + s[i] + ", not one of U R F D L B");
+		}
+		state[puzzle.index[faceletFaces[Math.floor(i / puzzle.faceSize)] + (i % puzzle.faceSize + 1)]] = colourOf[s[i]];
+	}
+
+	return state;
+}
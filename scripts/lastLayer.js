@@ -0,0 +1,123 @@
+/*
+	Last-layer diagrams for the 2x2x2 and 3x3x3, as on algorithm sheets: lastLayerSvg(puzzle,
+	state, options) draws U from above with the top row of F, R, B and L as thin strips
+	round it, where they are seen from above.
+
+	With arrows, moves such as "R U R' U' R' F R2 U' R' U' R U R' F'", an arrow goes from
+	where each last-layer piece starts to where the moves take it, a piece swapped with
+	another getting one arrow with two heads. Twists and flips don't move a piece, so
+	they get none. keepsLastLayer(puzzle, moves) says whether moves can have arrows, the
+	last layer's pieces staying in it.
+*/
+
+/* how deep the side strips are, as part of a sticker */
+const lastLayerSide = 0.35;
+
+/* the cubes with a cubie model, the 2x2x2 and 3x3x3, have a last-layer view */
+function hasLastLayer(puzzle) {
+	return cubieModels[puzzle.name] != null;
+}
+
+function lastLayerSvg(puzzle, state, options) {
+	if (!hasLastLayer(puzzle)) {
+		throw new Error(puzzle.title + " has no last-layer view, only the 2x2x2 and 3x3x3 do");
+	}
+	let model = cubieModels[puzzle.name];
+
+	let arrows = options && options.arrows;
+	options = svgOptions(options);
+	options.scheme = puzzleScheme(puzzle, options.scheme);
+
+	let n = Math.round(Math.sqrt(puzzle.faceSize));
+	let s = options.size;
+	let side = s * lastLayerSide;
+	let far = n * s + options.gap;
+	let shapes = [];
+	let add = function(sticker, x, y, width, height) {
+		shapes.push({ points: [[x, y], [x + width, y], [x + width, y + height], [x, y + height]], fill: state[puzzle.index[sticker]], sticker: sticker });
+	};
+
+	for (let i = 0; i < n * n; i++) {
+		add("U" + (i + 1), (i % n) * s, Math.floor(i / n) * s, s, s);
+	}
+	/* the top rows, numbered left to right as seen from their own side */
+	for (let i = 0; i < n; i++) {
+		add("F" + (i + 1), i * s, far, s, side);
+		add("B" + (i + 1), (n - 1 - i) * s, -options.gap - side, s, side);
+		add("L" + (i + 1), -options.gap - side, i * s, side, s);
+		add("R" + (i + 1), far, (n - 1 - i) * s, side, s);
+	}
+
+	return svgPolygons(shapes, options, arrows != null ? lastLayerArrows(puzzle, model, arrows, options) : "");
+}
+
+/* where each last-layer piece goes, as { from: [piece, ..], to: [piece, ..] } with pieces as their lists of stickers, null if one leaves it */
+function lastLayerCycles(puzzle, model, moves) {
+	let perm = applyMoves(puzzle, identityPerm(puzzle.stickers.length), moves);
+	let pieces = model.corners.concat(model.edges).filter(function(p) { return p[0][0] == "U"; });
+	let pieceOf = {};
+	for (let p of pieces) {
+		for (let sticker of p) {
+			pieceOf[sticker] = p;
+		}
+	}
+
+	let from = [];
+	let to = [];
+	for (let p of pieces) {
+		let source = pieceOf[puzzle.stickers[perm[puzzle.index[p[0]]]]];
+		if (source == null) {
+			return null;
+		}
+		if (source != p) {
+			from.push(source);
+			to.push(p);
+		}
+	}
+
+	return { from: from, to: to };
+}
+
+function keepsLastLayer(puzzle, moves) {
+	return hasLastLayer(puzzle) && lastLayerCycles(puzzle, cubieModels[puzzle.name], moves) != null;
+}
+
+function lastLayerArrows(puzzle, model, moves, options) {
+	let s = options.size;
+	let n = Math.round(Math.sqrt(puzzle.faceSize));
+	let moved = lastLayerCycles(puzzle, model, moves);
+	if (moved == null) {
+		throw new Error("the moves take pieces out of the last layer, so there are no arrows for them");
+	}
+	let centre = function(piece) {
+		let i = parseInt(piece[0].slice(1)) - 1;
+		return [(i % n + 0.5) * s, (Math.floor(i / n) + 0.5) * s];
+	};
+
+	let body = "";
+	for (let k = 0; k < moved.from.length; k++) {
+		let back = moved.to.indexOf(moved.from[k]);
+		let swap = back != -1 && moved.from[back] == moved.to[k];
+		if (swap && back < k) {
+			continue;
+		}
+
+		/* stop short of the sticker centres so the heads don't cover each other */
+		let a = centre(moved.from[k]);
+		let b = centre(moved.to[k]);
+		let length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+		let cut = Math.min(s * 0.25, length / 4) / length;
+		let points = [a[0] + (b[0] - a[0]) * cut, a[1] + (b[1] - a[1]) * cut, b[0] - (b[0] - a[0]) * cut, b[1] - (b[1] - a[1]) * cut];
+		body += '<line x1="' + svgNumber(points[0]) + '" y1="' + svgNumber(points[1]) + '" x2="' + svgNumber(points[2]) + '" y2="' + svgNumber(points[3]) + '"' +
+			' stroke="black" stroke-width="' + svgNumber(s / 12) + '" marker-end="url(#ll-arrow-end)"' + (swap ? ' marker-start="url(#ll-arrow-start)"' : "") + "></line>";
+	}
+	if (body == "") {
+		return "";
+	}
+
+	/* a head for each end, as not every renderer turns one round for the start (orient="auto-start-reverse") */
+	return '<defs><marker id="ll-arrow-end" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="4" markerHeight="4" orient="auto">' +
+		'<path d="M0 0 L10 5 L0 10 Z" fill="black"></path></marker>' +
+		'<marker id="ll-arrow-start" viewBox="0 0 10 10" refX="2" refY="5" markerWidth="4" markerHeight="4" orient="auto">' +
+		'<path d="M10 0 L0 5 L10 10 Z" fill="black"></path></marker></defs><g style="pointer-events:none;">' + body + "</g>";
+}
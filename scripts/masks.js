@@ -0,0 +1,136 @@
+/*
+	Stickering masks for the 2x2x2 and 3x3x3, for the mask option of svg.js: which stickers
+	an algorithm is about and which are greyed out, as a map from sticker to "show", "grey"
+	or "oriented" (only the U and D colours showing).
+
+	The presets go piece by piece, the last layer being U and the cross on D, and say what
+	each corner, edge and centre shows, as one role or a list of one for each sticker; a
+	piece of the cube given to none of them is grey. Most go by where a piece is, but a
+	preset also gets the colours the piece there has in the state drawn (solved if none is
+	given), for masks such as EOLine that go by which piece it is.
+*/
+
+const maskRoles = ["show", "grey", "oriented"];
+
+/* the pieces of a cube touching a face */
+function onFace(piece, face) {
+	return piece.some(function(s) { return s[0] == face; });
+}
+
+const stickerMasks = {
+	"cross": {
+		title: "cross", cubes: ["333"],
+		piece: function(piece, kind) {
+			return kind == "centre" || (kind == "edge" && onFace(piece, "D")) ? "show" : "grey";
+		}
+	},
+	"f2l": {
+		title: "F2L",
+		piece: function(piece) { return onFace(piece, "U") && piece.length > 1 ? "grey" : "show"; }
+	},
+	"oll": {
+		title: "OLL",
+		piece: function(piece) { return onFace(piece, "U") ? "oriented" : "grey"; }
+	},
+	"pll": {
+		title: "PLL",
+		piece: function(piece) { return onFace(piece, "U") ? "show" : "grey"; }
+	},
+	"coll": {
+		title: "COLL",
+		piece: function(piece, kind) {
+			if (!onFace(piece, "U")) {
+				return "grey";
+			}
+			return kind == "edge" ? "oriented" : "show";
+		}
+	},
+	/* Roux: the blocks are done and the M slice is left for later */
+	"cmll": {
+		title: "CMLL",
+		piece: function(piece, kind) { return kind == "corner" && onFace(piece, "U") ? "show" : "grey"; }
+	},
+	/*
+		ZZ: DF and DB placed and every edge oriented, which each edge's own sticker tells:
+		its U or D colour, or for the middle-layer edges that have neither, its F or B one
+	*/
+	"eoline": {
+		title: "EOLine", cubes: ["333"],
+		piece: function(piece, kind, colours) {
+			let line = piece.join() == "D2,F8" || piece.join() == "D8,B8";
+			if (kind == "corner") {
+				return "grey";
+			}
+			if (kind == "centre" || line) {
+				return "show";
+			}
+
+			let faces = colours.map(function(c) { return colourFaces[c]; });
+			let own = faces.some(function(f) { return f == "U" || f == "D"; }) ? "UD" : "FB";
+			return faces.map(function(f) { return f != null && own.indexOf(f) != -1 ? "show" : "grey"; });
+		}
+	},
+	/* the edges come oriented, so only their sides tell the cases apart */
+	"zbll": {
+		title: "ZBLL",
+		piece: function(piece, kind) {
+			if (!onFace(piece, "U")) {
+				return "grey";
+			}
+			return kind == "edge" ? piece.map(function(s) { return s[0] == "U" ? "oriented" : "show"; }) : "show";
+		}
+	}
+};
+
+/* whether the preset is made for the puzzle */
+function hasMask(puzzle, name) {
+	let preset = stickerMasks[name];
+	return preset != null && cubieModels[puzzle.name] != null && (preset.cubes == null || preset.cubes.indexOf(puzzle.name) != -1);
+}
+
+/* a preset as a map from sticker to role, for state or the solved puzzle */
+function stickerMask(puzzle, name, state) {
+	let model = cubieModels[puzzle.name];
+	let preset = stickerMasks[name];
+	if (preset == null) {
+		throw new Error("no mask called " + name + ", only " + Object.keys(stickerMasks).join(", "));
+	}
+	if (!hasMask(puzzle, name)) {
+		throw new Error("the " + preset.title + " mask isn't for the " + puzzle.title);
+	}
+
+	let colours = state || puzzle.solved;
+	let mask = { "*": "grey" };
+	for (let kind of [["corner", model.corners], ["edge", model.edges], ["centre", model.centres]]) {
+		for (let piece of kind[1]) {
+			let role = preset.piece(piece, kind[0], piece.map(function(s) { return colours[puzzle.index[s]]; }));
+			for (let i = 0; i < piece.length; i++) {
+				mask[piece[i]] = Array.isArray(role) ? role[i] : role;
+			}
+		}
+	}
+
+	return mask;
+}
+
+/* a preset by name, for state as stickerMask has it, or a mask written out as "sticker=role" words, "*=grey U1=show U3=oriented" */
+function readMask(puzzle, text, state) {
+	if (text.indexOf("=") == -1) {
+		return stickerMask(puzzle, text.trim().toLowerCase(), state);
+	}
+
+	let mask = {};
+	let words = text.split(/[\s,]+/).filter(function(word) { return word != ""; });
+	for (let i = 0; i < words.length; i++) {
+		let parts = words[i].split("=");
+		if (parts.length != 2 || (parts[0] != "*" && puzzle.index[parts[0]] == null)) {
+			throw new Error(words[i] + " isn't a sticker of the " + puzzle.title + " and a role, like U1=grey");
+		}
+		if (maskRoles.indexOf(parts[1]) == -1) {
+			throw new Error("a sticker is " + maskRoles.join(", ") + ", not " + parts[1]);
+		}
+		mask[parts[0]] = parts[1];
+	}
+
+	return mask;
+}
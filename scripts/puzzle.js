@@ -0,0 +1,208 @@
+/*
+	A puzzle is a list of stickers, face by face, and its moves as permutations of them.
+
+	Stickers are named by face letter and number, as in the SVG ids (U1 .. U9 for "333_U1" ..).
+	Puzzles that aren't made of same-sized faces can instead list their stickers and
+	solved state themselves.
+
+	Nothing here touches the page, so puzzles can be used from Node or a worker as well;
+	svg.js turns a state into a picture and render.js puts it on the page.
+
+	Moves are written as cycles of sticker names, "U9 B1 D9 F9" meaning the sticker on U9
+	moves to B1, B1 to D9, D9 to F9 and F9 back to U9. Moves that are just other moves
+	one after another (Rw = R M', x = R M' L') are written as such a sequence instead.
+
+	A permutation p is stored as an array where position i takes the sticker that was
+	at p[i], so applying it is just state[p[i]] for every i.
+*/
+
+const puzzles = {};
+
+function definePuzzle(def) {
+	let puzzle = {
+		name: def.name,
+		title: def.title,
+		size: def.size,
+		faces: def.faces,
+		faceSize: def.faceSize,
+		stickers: [],
+		index: {},
+		solved: [],
+		moves: {},
+		orders: {},
+		check: def.check,
+		shapes: def.shapes,
+		svg: def.svg
+	};
+
+	if (def.stickers) {
+		puzzle.stickers = def.stickers;
+		puzzle.solved = def.solved;
+	} else {
+		for (let f = 0; f < def.faces.length; f++) {
+			for (let i = 1; i <= def.faceSize; i++) {
+				puzzle.stickers.push(def.faces[f] + i);
+				puzzle.solved.push(def.colours[f]);
+			}
+		}
+	}
+	for (let i = 0; i < puzzle.stickers.length; i++) {
+		puzzle.index[puzzle.stickers[i]] = i;
+	}
+
+	for (let name in def.moves) {
+		addMove(puzzle, name, cyclesToPerm(puzzle, name, def.moves[name]));
+	}
+
+	for (let name in def.compound) {
+		let perm = identityPerm(puzzle.stickers.length);
+		let parts = def.compound[name].split(" ");
+
+		for (let i = 0; i < parts.length; i++) {
+			let part = /^(.+?)(2|')?$/.exec(parts[i]);
+			if (puzzle.moves[part[1]] == null) {
+				throw new Error(puzzle.name + " " + name + ": unknown move " + part[1]);
+			}
+			let amount = part[2] == "2" ? 2 : part[2] == "'" ? -1 : 1;
+			perm = composePerms(perm, turnPerm(puzzle, part[1], amount));
+		}
+		addMove(puzzle, name, perm);
+	}
+
+	puzzles[puzzle.name] = puzzle;
+	return puzzle;
+}
+
+function addMove(puzzle, name, perm) {
+	puzzle.moves[name] = perm;
+	puzzle.orders[name] = permOrder(perm);
+}
+
+function cyclesToPerm(puzzle, name, cycles) {
+	let perm = identityPerm(puzzle.stickers.length);
+	let used = [];
+
+	for (let c = 0; c < cycles.length; c++) {
+		let cycle = cycles[c].split(" ");
+		let idx = [];
+
+		for (let i = 0; i < cycle.length; i++) {
+			let k = puzzle.index[cycle[i]];
+			if (k == null || used[k]) {
+				throw new Error(puzzle.name + " " + name + ": bad or repeated sticker " + cycle[i]);
+			}
+			used[k] = true;
+			idx.push(k);
+		}
+		for (let i = 0; i < idx.length; i++) {
+			perm[idx[(i + 1) % idx.length]] = idx[i];
+		}
+	}
+
+	return perm;
+}
+
+function identityPerm(n) {
+	let perm = [];
+
+	for (let i = 0; i < n; i++) {
+		perm.push(i);
+	}
+
+	return perm;
+}
+
+/* a followed by b */
+function composePerms(a, b) {
+	let perm = [];
+
+	for (let i = 0; i < b.length; i++) {
+		perm.push(a[b[i]]);
+	}
+
+	return perm;
+}
+
+function invertPerm(p) {
+	let perm = [];
+
+	for (let i = 0; i < p.length; i++) {
+		perm[p[i]] = i;
+	}
+
+	return perm;
+}
+
+/* lcm of the cycle lengths: how many times p is applied before the puzzle is back where it was */
+function permOrder(p) {
+	let order = 1;
+	let seen = [];
+
+	for (let i = 0; i < p.length; i++) {
+		let len = 0;
+		for (let j = i; !seen[j]; j = p[j]) {
+			seen[j] = true;
+			len++;
+		}
+		if (len > 0) {
+			order = order * len / gcd(order, len);
+		}
+	}
+
+	return order;
+}
+
+function gcd(a, b) {
+	return b == 0 ? a : gcd(b, a % b);
+}
+
+function powerPerm(p, k) {
+	let perm = identityPerm(p.length);
+
+	if (k < 0) {
+		p = invertPerm(p);
+		k = -k;
+	}
+	for (let i = 0; i < k; i++) {
+		perm = composePerms(perm, p);
+	}
+
+	return perm;
+}
+
+/* the permutation of a named move done amount times, amount being negative for prime moves */
+function turnPerm(puzzle, name, amount) {
+	let order = puzzle.orders[name];
+	return powerPerm(puzzle.moves[name], ((amount % order) + order) % order);
+}
+
+function applyPerm(state, p) {
+	let next = [];
+
+	for (let i = 0; i < p.length; i++) {
+		next.push(state[p[i]]);
+	}
+
+	return next;
+}
+
+/*
+	A new state after doing moves (parsed moves, or a scramble string) on state, which
+	is left as it was. Puzzles that aren't permutations, like the clock, bring their own
+	applyMove.
+*/
+function applyMoves(puzzle, state, moves) {
+	if (typeof moves == "string") {
+		moves = scrambleMoves(puzzle.name, moves);
+	}
+
+	for (let i = 0; i < moves.length; i++) {
+		if (puzzle.applyMove) {
+			state = puzzle.applyMove(state, moves[i]);
+		} else {
+			state = applyPerm(state, turnPerm(puzzle, moves[i].base, moves[i].amount));
+		}
+	}
+
+	return state;
+}
@@ -0,0 +1,20 @@
+/*
+	Drawing puzzle states on the page. Each puzzle is drawn inside its own container
+	element, so several can be on one page, even of the same puzzle.
+*/
+
+/*
+	shows state in container, with the svg.js options for sizes and colour scheme, and view
+	"3d" or "3d-both" for a cube in 3D (cube3d.js) or "ll" for its last layer (lastLayer.js)
+*/
+function drawPuzzle(container, puzzle, state, options) {
+	let view = options && options.view;
+
+	if (view == "3d" || view == "3d-both") {
+		container.innerHTML = cubeSvg3d(puzzle, state, options);
+	} else if (view == "ll") {
+		container.innerHTML = lastLayerSvg(puzzle, state, options);
+	} else {
+		container.innerHTML = puzzleSvg(puzzle, state, options);
+	}
+}
@@ -0,0 +1,41 @@
+/*
+	Colour schemes to draw with, as the scheme option of svg.js: the colour of each face,
+	{ U, R, F, D, L, B }. The pyraminx and Square-1 use the same six colours, so they follow
+	the scheme too.
+*/
+
+const colourSchemes = {
+	"wca": { title: "WCA", faces: { U: w, R: r, F: g, D: y, L: o, B: b } },
+
+	/* white opposite blue and yellow opposite green, held blue side up */
+	"japanese": { title: "Japanese (blue top)", faces: { U: b, R: o, F: g, D: w, L: r, B: y } },
+
+	/* full yellow hardly shows on white paper */
+	"print": { title: "Print (half-bright yellow)", faces: { U: "#FFFFFF", R: "#E00000", F: "#00B000", D: "#B8B000", L: "#FF8C00", B: "#0030E0" } },
+
+	"contrast": { title: "High contrast", faces: { U: "#FFFFFF", R: "#B00000", F: "#00C853", D: "#FFEA00", L: "#FF7A00", B: "#1040FF" } }
+};
+
+const schemeFaceOrder = ["U", "R", "F", "D", "L", "B"];
+
+/* a scheme from six colours in U R F D L B order, "#FFFFFF,#FF0000,..", or the name of one above */
+function readScheme(text) {
+	if (colourSchemes[text] != null) {
+		return colourSchemes[text].faces;
+	}
+
+	let colours = text.split(/[\s,]+/).filter(function(c) { return c != ""; });
+	if (colours.length != 6) {
+		throw new Error("a colour scheme is one of " + Object.keys(colourSchemes).join(", ") + " or six colours for U R F D L B, not " + colours.length);
+	}
+
+	let scheme = {};
+	for (let i = 0; i < 6; i++) {
+		if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(colours[i])) {
+			throw new Error("the " + schemeFaceOrder[i] + " colour " + colours[i] + " isn't a hex colour like #FF8000");
+		}
+		scheme[schemeFaceOrder[i]] = colours[i].toUpperCase();
+	}
+
+	return scheme;
+}
@@ -6,127 +6,311 @@ const o = "#FF8000";
 const b = "#0000FF";
 const g = "#00FF00";
 
-function getSequence(e, s) {
-	let seq = [];
-
-	for (let i = 0; i < s.length; i++) {
-		seq.push(s[i]);
-	}
-	seq.push(" ");
-
-	for (let i = seq.length-1; i > 0; i--) {
-		if (seq[i] == "w") {
-			if (seq[i-1] == "F") {
-				seq[i-1] = "f";
-			} else if (seq[i-1] == "U") {
-				seq[i-1] = "u";
-			} else if (seq[i-1] == "R") {
-				seq[i-1] = "r";
-			}
-			seq.splice(i, 1);
+/*
+	One token of a scramble: an optional layer count, the move letter, an optional
+	"w" for wide turns, then an optional amount and prime, e.g. R, U2, F', R2', 3Rw, u,
+	or megaminx ++ / --.
+*/
+const moveToken = /(\d+)?([A-Za-z])(w)?(\d+)?(')?(\+\+|--)?/y;
+
+/* a Square-1 turn of the top and bottom layers, (1,0) or (-3, 3), or a slash */
+const square1Token = /\(\s*(-?\d+)\s*,\s*(-?\d+)\s*\)|\//y;
+
+/* a clock turn of the dials by the pins up, UR5- or ALL2+, a pin left up at the end, UR, or y2 */
+const clockToken = /(ALL|UR|DR|DL|UL|U|R|D|L)(?:(\d+)([+-])?)?|y2/y;
+
+/*
+	Splits a scramble into move objects:
+	{ text, pos, base, family, layers, amount }
+	where base is the normalised move name (r -> Rw), family the face or slice letter,
+	layers the [first, last] layer range counted from that face (null for slices,
+	rotations and skewb corners) and amount the signed number of quarter turns.
+
+	On Square-1, (x,y) gives two moves, U by x and D by y twelfths of a turn, and / is
+	the move "/".
+
+	On the clock, base is the pins up (UR, U, ALL ..) and amount the hours turned, or
+	family is "pin" for the pins left up at the end and "y2" for turning the clock over.
+
+	Nothing is thrown for bad input: every token that can't be read is reported in
+	errors as { text, pos, reason }, pos being its character offset in s. Puzzles with
+	a check function can add errors for moves that read fine but can't be done.
+*/
+function parseScramble(puzzle, s) {
+	return checkScramble(puzzle, readScramble(puzzle, s));
+}
+
+/* the moves and errors of s as parseScramble has them, before the puzzle's check */
+function readScramble(puzzle, s) {
+	let moves = [];
+	let errors = [];
+	let token = puzzle == "sq1" ? square1Token : puzzle == "clock" ? clockToken : moveToken;
+	let i = 0;
+
+	while (i < s.length) {
+		if (/\s/.test(s[i])) {
+			i++;
+			continue;
 		}
-	}
 
-	if (e == "4") {
-		
-		for (let i = 1; i < seq.length-1; i++) {
-			if (seq[i] == "'") {
-				seq[i] = seq[i-1];
-				seq[i+1] = seq[i-1];
-			}
-			if (seq[i] == "2") {
-				seq[i] = seq[i-1];
+		token.lastIndex = i;
+		let t = token.exec(s);
+		if (t == null) {
+			let j = i + 1;
+			while (j < s.length && !/[\sA-Za-z(\/]/.test(s[j])) {
+				j++;
 			}
+			let text = s.slice(i, j);
+			let reason = /^[\d']+$/.test(text) ? "amount without a move" : "unexpected character \"" + s[i] + "\"";
+			errors.push({ text: text, pos: i, reason: reason });
+			i = j;
+			continue;
 		}
-		
-	} else if (e == "3") {
-		for (let i = 1; i < seq.length-1; i++) {
-			if (seq[i] == "'") {
-				seq[i] = s[i-1];
+
+		if (puzzle == "sq1") {
+			let turns = t[0] == "/" ? [{ base: "/", family: "/", layers: null, amount: 1 }] : [
+				{ base: "U", family: "U", layers: null, amount: parseInt(t[1]) },
+				{ base: "D", family: "D", layers: null, amount: parseInt(t[2]) }
+			];
+			for (let k = 0; k < turns.length; k++) {
+				turns[k].text = t[0];
+				turns[k].pos = i;
+				moves.push(turns[k]);
 			}
+			i += t[0].length;
+			continue;
 		}
-	}
 
-	for (let i = seq.length-1; i >= 0; i--) {
-		if (seq[i] == " ") {
-			seq.splice(i, 1);
+		let move = puzzle == "clock" ? readClockMove(t) : readMove(puzzle, t);
+		if (move.reason == null && puzzles[puzzle].moves[move.base] == null) {
+			move.reason = t[0] + " is not a " + puzzles[puzzle].title + " move";
 		}
+
+		if (move.reason != null) {
+			errors.push({ text: t[0], pos: i, reason: move.reason });
+		} else {
+			move.text = t[0];
+			move.pos = i;
+			moves.push(move);
+		}
+		i += t[0].length;
 	}
 
-	return seq.join("");
+	return { moves: moves, errors: errors };
 }
 
-function initCubeArr(c) {
+function checkScramble(puzzle, parsed) {
+	if (puzzles[puzzle].check) {
+		parsed.errors = parsed.errors.concat(puzzles[puzzle].check(parsed.moves));
+		parsed.errors.sort(function(a, c) { return a.pos - c.pos; });
+	}
 
-	if (c == "222") {
-		for (let i = 0; i < cube2[0].length; i++) {
-			cube2[0][i] = w;
-		}
-		for (let i = 0; i < cube2[1].length; i++) {
-			cube2[1][i] = o;
-		}
-		for (let i = 0; i < cube2[2].length; i++) {
-			cube2[2][i] = g;
-		}
-		for (let i = 0; i < cube2[3].length; i++) {
-			cube2[3][i] = r;
-		}
-		for (let i = 0; i < cube2[4].length; i++) {
-			cube2[4][i] = b;
-		}
-		for (let i = 0; i < cube2[5].length; i++) {
-			cube2[5][i] = y;
-		}
-	} else if (c == "skb") {
-		for (let i = 0; i < cubeS[0].length; i++) {
-			cubeS[0][i] = w;
-		}
-		for (let i = 0; i < cubeS[1].length; i++) {
-			cubeS[1][i] = o;
-		}
-		for (let i = 0; i < cubeS[2].length; i++) {
-			cubeS[2][i] = g;
-		}
-		for (let i = 0; i < cubeS[3].length; i++) {
-			cubeS[3][i] = r;
-		}
-		for (let i = 0; i < cubeS[4].length; i++) {
-			cubeS[4][i] = b;
-		}
-		for (let i = 0; i < cubeS[5].length; i++) {
-			cubeS[5][i] = y;
-		}
-	} else if (c == "pyram") {
-		for (let i = 0; i < cubeP[0].length; i++) {
-			cubeP[0][i] = r;
+	return parsed;
+}
+
+/*
+	An algorithm read as the case it solves: the moves setting the case up from solved,
+	which are the algorithm undone, with before (an AUF or rotation done ahead of it,
+	as a string of moves) undone after. It is those moves the puzzle's check goes over,
+	as the algorithm itself starts from the case rather than from solved. The errors
+	point into the algorithm, so a mistake in before is thrown instead.
+*/
+function parseCase(puzzle, s, before) {
+	let parsed = readScramble(puzzle, s);
+	let moves = parsed.moves;
+	if (before) {
+		let first = parseScramble(puzzle, before);
+		if (first.errors.length > 0) {
+			throw new Error("Invalid moves before the algorithm at position " + first.errors[0].pos + ": " + first.errors[0].reason);
 		}
-		for (let i = 0; i < cubeP[1].length; i++) {
-			cubeP[1][i] = g;
+		moves = first.moves.concat(moves);
+	}
+
+	return checkScramble(puzzle, { moves: inverseMoves(puzzle, moves), errors: parsed.errors });
+}
+
+/* the moves of a scramble, throwing on the first error for callers without an error display */
+function scrambleMoves(puzzle, s) {
+	return parsedMoves(parseScramble(puzzle, s));
+}
+
+function parsedMoves(parsed) {
+	if (parsed.errors.length > 0) {
+		let e = parsed.errors[0];
+		throw new Error("Invalid scramble at position " + e.pos + ": " + e.reason);
+	}
+
+	return parsed.moves;
+}
+
+/* the moves setting up the case an algorithm solves, throwing as scrambleMoves does */
+function caseMoves(puzzle, s, before) {
+	return parsedMoves(parseCase(puzzle, s, before));
+}
+
+/*
+	The moves that undo moves, last first, each turned the other way: Square-1's / and the
+	clock's y2 undo themselves, and the clock's pins left up at the end aren't turns, so
+	they stay at the end. Each move keeps the text and pos it was read from, for errors
+	to point at; movesString writes the moves out.
+*/
+function inverseMoves(puzzle, moves) {
+	let turns = moves.filter(function(m) { return m.family != "pin"; }).reverse();
+	let pins = moves.filter(function(m) { return m.family == "pin"; });
+
+	return turns.map(function(m) {
+		let amount = m.family == "/" || m.family == "y2" ? m.amount : -m.amount;
+		return { text: m.text, pos: m.pos, base: m.base, family: m.family, layers: m.layers, amount: amount };
+	}).concat(pins);
+}
+
+/* one move written out as the parser reads it; on Square-1 each layer turn is a whole (x,y) */
+function moveString(puzzle, move) {
+	let amount = Math.abs(move.amount);
+
+	if (puzzle == "sq1") {
+		return move.family == "/" ? "/" : move.family == "U" ? "(" + move.amount + ",0)" : "(0," + move.amount + ")";
+	}
+	if (puzzle == "clock") {
+		return move.family == "pin" || move.family == "y2" ? move.base : move.base + amount + (move.amount < 0 ? "-" : "+");
+	}
+	if (puzzle == "mega" && move.base != "U") {
+		return move.base + (move.amount < 0 ? "--" : "++");
+	}
+
+	/* the shortest way round, b2 on the pyraminx being b', and a half turn going without a prime */
+	let order = puzzles[puzzle].orders[move.base];
+	let turn = move.amount;
+	if (turn % order != 0) {
+		turn = (turn % order + order) % order;
+		turn = turn > order / 2 ? turn - order : turn;
+	}
+	amount = Math.abs(turn);
+	return move.base + (amount == 1 ? "" : amount) + (turn < 0 ? "'" : "");
+}
+
+/* moves as one scramble, a Square-1 turn of both layers going back into one (x,y) */
+function movesString(puzzle, moves) {
+	if (puzzle != "sq1") {
+		return moves.map(function(m) { return moveString(puzzle, m); }).join(" ");
+	}
+
+	let parts = [];
+	let turn = null;
+	let wrap = function(x) { return (x % 12 + 17) % 12 - 5; };
+	for (let i = 0; i < moves.length; i++) {
+		if (moves[i].family == "/") {
+			if (turn != null) {
+				parts.push("(" + wrap(turn.U) + "," + wrap(turn.D) + ")");
+				turn = null;
+			}
+			parts.push("/");
+		} else {
+			turn = turn || { U: 0, D: 0 };
+			turn[moves[i].family] += moves[i].amount;
 		}
-		for (let i = 0; i < cubeP[2].length; i++) {
-			cubeP[2][i] = b;
+	}
+	if (turn != null) {
+		parts.push("(" + wrap(turn.U) + "," + wrap(turn.D) + ")");
+	}
+
+	return parts.join(" ");
+}
+
+/* the scramble undoing the algorithm s, which sets up the case it solves */
+function invertScramble(puzzle, s) {
+	return movesString(puzzle, caseMoves(puzzle, s));
+}
+
+function readClockMove(t) {
+	if (t[0] == "y2") {
+		return { base: "y2", family: "y2", layers: null, amount: 1 };
+	}
+	if (t[2] == null) {
+		return { base: t[1], family: "pin", layers: null, amount: 0 };
+	}
+	if (t[3] == null) {
+		return { reason: "clock turns end in + or -" };
+	}
+
+	let amount = parseInt(t[2]);
+	if (amount > 6) {
+		return { reason: "clock turns go up to 6" };
+	}
+	return { base: t[1], family: t[1], layers: null, amount: t[3] == "-" ? -amount : amount };
+}
+
+function readMove(puzzle, t) {
+	let count = t[1] ? parseInt(t[1]) : 0;
+	let letter = t[2];
+	let wide = t[3] == "w";
+	let amount = t[4] ? parseInt(t[4]) : 1;
+
+	if (amount == 0) {
+		return { reason: "amount of zero" };
+	}
+	if (t[5]) {
+		amount = -amount;
+	}
+
+	if (puzzle == "mega") {
+		if (count || wide) {
+			return { reason: "no wide or inner-layer turns on megaminx" };
 		}
-		for (let i = 0; i < cubeP[3].length; i++) {
-			cubeP[3][i] = y;
+		if ((letter == "R" || letter == "D") != (t[6] != null) || (t[6] && (t[4] || t[5]))) {
+			return { reason: letter == "U" ? "U turns are written U or U'" : "R and D turns are written ++ or --" };
 		}
-	} else if (c == "333") {
-		for (let i = 0; i < cube3[0].length; i++) {
-			cube3[0][i] = w;
+		if (t[6] == "--") {
+			amount = -1;
 		}
-		for (let i = 0; i < cube3[1].length; i++) {
-			cube3[1][i] = o;
+		return { base: letter, family: letter, layers: null, amount: amount };
+	}
+	if (t[6]) {
+		return { reason: "++ and -- are only for megaminx" };
+	}
+
+	if (puzzle == "pyram" || puzzle == "skb") {
+		if (count || wide) {
+			return { reason: "no wide or inner-layer turns on " + puzzles[puzzle].title };
 		}
-		for (let i = 0; i < cube3[2].length; i++) {
-			cube3[2][i] = g;
+		let family = letter.toUpperCase();
+		let layers = null;
+		if (puzzle == "pyram") {
+			layers = letter == family ? [1, 2] : [1, 1];
 		}
-		for (let i = 0; i < cube3[3].length; i++) {
-			cube3[3][i] = r;
+		return { base: letter, family: family, layers: layers, amount: amount };
+	}
+
+	if ("MESxyz".indexOf(letter) != -1) {
+		if (count || wide) {
+			return { reason: "layer count or w on " + letter };
 		}
-		for (let i = 0; i < cube3[4].length; i++) {
-			cube3[4][i] = b;
+		return { base: letter, family: letter, layers: null, amount: amount };
+	}
+
+	let family = letter.toUpperCase();
+	if ("RLUDFB".indexOf(family) == -1) {
+		return { reason: "unknown move letter \"" + letter + "\"" };
+	}
+	if (letter != family) {
+		if (wide) {
+			return { reason: "w on a lowercase move" };
 		}
-		for (let i = 0; i < cube3[5].length; i++) {
-			cube3[5][i] = y;
+		wide = true;
+	}
+
+	if (wide) {
+		let depth = count || 2;
+		if (depth < 2) {
+			return { reason: "wide turn of fewer than 2 layers" };
 		}
+		return { base: (depth == 2 ? "" : depth) + family + "w", family: family, layers: [1, depth], amount: amount };
+	}
+	if (count == 1) {
+		return { reason: "layer count of 1 on an outer turn" };
+	}
+	if (count > 1) {
+		return { base: count + family, family: family, layers: [count, count], amount: amount };
 	}
+	return { base: family, family: family, layers: [1, 1], amount: amount };
 }
\ No newline at end of file
@@ -0,0 +1,88 @@
+/*
+	Random-state scrambles and optimal solutions for the 2x2x2, turning R, U and F so the
+	DBL corner never moves.
+
+	The corners are the cubies of cubies.js. The coordinates are the permutation of the 7
+	corners other than DBL (5040) and the twists of the first 6 of them (729), the last one
+	following from those.
+*/
+
+/* the corners that move, DBL being left out */
+const moving222 = [0, 1, 2, 3, 4, 5, 7];
+
+/* WCA regulation 4b3: a 2x2x2 scramble must need at least 4 moves */
+const minLength222 = 4;
+
+/* which corner sits at each position and its twist */
+function readCorners222(state) {
+	let cube = stateToCubies(puzzle2, state);
+	return { perm: cube.cp, twist: cube.co };
+}
+
+function writeCorners222(perm, twist) {
+	return cubiesToState(puzzle2, { cp: perm, co: twist, ep: [], eo: [], centres: [] });
+}
+
+function permCoord222(state) {
+	let perm = readCorners222(state).perm;
+	return permToIndex(moving222.map(function(p) { return moving222.indexOf(perm[p]); }));
+}
+
+function twistCoord222(state) {
+	let twist = readCorners222(state).twist;
+	let n = 0;
+
+	for (let i = 0; i < 6; i++) {
+		n = n * 3 + twist[moving222[i]];
+	}
+
+	return n;
+}
+
+function permState222(n) {
+	let order = indexToPerm(n, 7);
+	let perm = identityPerm(8);
+
+	for (let i = 0; i < 7; i++) {
+		perm[moving222[i]] = moving222[order[i]];
+	}
+
+	return writeCorners222(perm, [0, 0, 0, 0, 0, 0, 0, 0]);
+}
+
+function twistState222(n) {
+	let twist = [0, 0, 0, 0, 0, 0, 0, 0];
+	let sum = 0;
+
+	for (let i = 5; i >= 0; i--) {
+		twist[moving222[i]] = n % 3;
+		sum += n % 3;
+		n = Math.floor(n / 3);
+	}
+	twist[7] = (3 - sum % 3) % 3;
+
+	return writeCorners222(identityPerm(8), twist);
+}
+
+const solver222 = makeSolver({
+	puzzle: puzzle2,
+	moves: ["R", "U", "F"],
+	amounts: [1, 2, -1],
+	coords: [
+		{ size: 5040, read: permCoord222, write: permState222 },
+		{ size: 729, read: twistCoord222, write: twistState222 }
+	],
+	prune: [[0], [1]]
+});
+
+/* an optimal solution of a 2x2x2 state, as a move string */
+function solve222(state) {
+	return solveState(solver222, state, 11).map(moveText).join(" ");
+}
+
+function randomScramble222(random) {
+	return randomStateScramble(solver222, function(random) {
+		return [randomInt(random, 5040), randomInt(random, 729)];
+	}, minLength222, 11, random);
+}
+scramblers["222"] = randomScramble222;
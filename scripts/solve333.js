@@ -0,0 +1,369 @@
+/*
+	Random-state scrambles and short solutions for the 3x3x3 by Kociemba's two-phase
+	algorithm, on the cubies of cubies.js.
+
+	Phase 1 brings the cube into the group of U, D, R2, L2, F2 and B2: every corner twist
+	and edge flip solved and the middle-layer edges in the middle layer. Its coordinates are
+	the twist (2187), the flip (2048) and which 4 of the 12 places hold the middle edges (495).
+	Phase 2 then solves the cube in that group, by the corner permutation (40320), that of
+	the 8 U and D edges (40320) and that of the 4 middle edges (24).
+
+	Each phase is an IDA* with pruning tables pairing the middle edge coordinate with each of
+	the others. Every phase 1 solution is followed by the shortest phase 2, and the search
+	carries on with longer phase 1 solutions while that gets a shorter total, until it is
+	down to the length asked for or out of time.
+*/
+
+/* the 18 face turns, U U2 U' R R2 R' .. B', as cubies */
+const turns333 = [];
+for (let f of ["U", "R", "F", "D", "L", "B"]) {
+	let cube = cubieModels["333"].moves[f];
+	for (let amount = 1; amount <= 3; amount++) {
+		turns333.push({ base: f, amount: amount == 3 ? -1 : amount, face: turns333.length / 3 | 0, cube: cube });
+		cube = multiplyCubies(cube, cubieModels["333"].moves[f]);
+	}
+}
+
+/* the turns phase 2 uses: U, D and the half turns of the others */
+const phase2Turns333 = [0, 1, 2, 4, 7, 9, 10, 11, 13, 16];
+
+/* the longest phase 1 and phase 2 ever need */
+const phase1Depth333 = 12;
+const phase2Depth333 = 18;
+
+/* WCA regulation 4b3: a 3x3x3 scramble must need at least 2 moves */
+const minLength333 = 2;
+
+function binomial(n, k) {
+	if (k > n) {
+		return 0;
+	}
+
+	let c = 1;
+	for (let i = 0; i < k; i++) {
+		c = c * (n - i) / (i + 1);
+	}
+
+	return c;
+}
+
+function twistCoord333(cube) {
+	let n = 0;
+
+	for (let i = 0; i < 7; i++) {
+		n = n * 3 + cube.co[i];
+	}
+
+	return n;
+}
+
+function twistCubies333(n) {
+	let cube = solvedCubies(puzzle3);
+	let sum = 0;
+
+	for (let i = 6; i >= 0; i--) {
+		cube.co[i] = n % 3;
+		sum += n % 3;
+		n = Math.floor(n / 3);
+	}
+	cube.co[7] = (3 - sum % 3) % 3;
+
+	return cube;
+}
+
+function flipCoord333(cube) {
+	let n = 0;
+
+	for (let i = 0; i < 11; i++) {
+		n = n * 2 + cube.eo[i];
+	}
+
+	return n;
+}
+
+function flipCubies333(n) {
+	let cube = solvedCubies(puzzle3);
+	let sum = 0;
+
+	for (let i = 10; i >= 0; i--) {
+		cube.eo[i] = n % 2;
+		sum += n % 2;
+		n = Math.floor(n / 2);
+	}
+	cube.eo[11] = sum % 2;
+
+	return cube;
+}
+
+/* the places of the middle edges FR FL BL BR, 0 when they're all in the middle layer */
+function sliceCoord333(cube) {
+	let n = 0;
+	let seen = 0;
+
+	for (let i = 11; i >= 0; i--) {
+		if (cube.ep[i] >= 8) {
+			n += binomial(11 - i, seen + 1);
+			seen++;
+		}
+	}
+
+	return n;
+}
+
+function sliceCubies333(n) {
+	let cube = solvedCubies(puzzle3);
+	let middle = 8;
+	let other = 0;
+	let left = 4;
+
+	for (let i = 0; i < 12; i++) {
+		if (left > 0 && n >= binomial(11 - i, left)) {
+			n -= binomial(11 - i, left);
+			cube.ep[i] = middle++;
+			left--;
+		} else {
+			cube.ep[i] = other++;
+		}
+	}
+
+	return cube;
+}
+
+function cornerCoord333(cube) {
+	return permToIndex(cube.cp);
+}
+
+function cornerCubies333(n) {
+	let cube = solvedCubies(puzzle3);
+	cube.cp = indexToPerm(n, 8);
+	return cube;
+}
+
+/* the U and D edges and the middle edges, only meaningful in phase 2 */
+function edgeCoord333(cube) {
+	return permToIndex(cube.ep.slice(0, 8));
+}
+
+function edgeCubies333(n) {
+	let cube = solvedCubies(puzzle3);
+	cube.ep = indexToPerm(n, 8).concat([8, 9, 10, 11]);
+	return cube;
+}
+
+function middleCoord333(cube) {
+	return permToIndex(cube.ep.slice(8).map(function(e) { return e - 8; }));
+}
+
+function middleCubies333(n) {
+	let cube = solvedCubies(puzzle3);
+	cube.ep = identityPerm(8).concat(indexToPerm(n, 4).map(function(e) { return e + 8; }));
+	return cube;
+}
+
+/* what each of turns does to a coordinate, at n * turns.length + turn */
+function cubieMoveTable(size, turns, read, write) {
+	let table = new Int32Array(size * turns.length);
+
+	for (let n = 0; n < size; n++) {
+		let cube = write(n);
+		for (let t = 0; t < turns.length; t++) {
+			table[n * turns.length + t] = read(multiplyCubies(cube, turns333[turns[t]].cube));
+		}
+	}
+
+	return table;
+}
+
+/* a pruning table for a pair of coordinates, using pruneTable of solver.js */
+function cubiePruneTable(turns, first, firstSize, second, secondSize) {
+	let tables = { turns: turns, moves: [first, second], solved: [0, 0] };
+	return pruneTable(tables, [{ size: firstSize }, { size: secondSize }], [0, 1]);
+}
+
+let tables333 = null;
+
+function solverTables333() {
+	if (tables333 != null) {
+		return tables333;
+	}
+
+	let all = turns333.map(function(t, i) { return i; });
+	let t = {
+		twist: cubieMoveTable(2187, all, twistCoord333, twistCubies333),
+		flip: cubieMoveTable(2048, all, flipCoord333, flipCubies333),
+		slice: cubieMoveTable(495, all, sliceCoord333, sliceCubies333),
+		corner: cubieMoveTable(40320, phase2Turns333, cornerCoord333, cornerCubies333),
+		edge: cubieMoveTable(40320, phase2Turns333, edgeCoord333, edgeCubies333),
+		middle: cubieMoveTable(24, phase2Turns333, middleCoord333, middleCubies333)
+	};
+	t.twistSlice = cubiePruneTable(all, t.twist, 2187, t.slice, 495);
+	t.flipSlice = cubiePruneTable(all, t.flip, 2048, t.slice, 495);
+	t.cornerMiddle = cubiePruneTable(phase2Turns333, t.corner, 40320, t.middle, 24);
+	t.edgeMiddle = cubiePruneTable(phase2Turns333, t.edge, 40320, t.middle, 24);
+
+	tables333 = t;
+	return tables333;
+}
+
+/* same face twice, or D before U and so on, is never shorter */
+function skipTurn333(face, last) {
+	return face == last || face == last - 3;
+}
+
+function checkCubies333(cube) {
+	let sorted = function(p) { return p.slice().sort(function(a, b) { return a - b; }).join() == identityPerm(p.length).join(); };
+	let sum = function(o) { return o.reduce(function(a, b) { return a + b; }, 0); };
+
+	if (!sorted(cube.cp) || !sorted(cube.ep)) {
+		throw new Error("a piece is on the cube twice");
+	}
+	if (sum(cube.co) % 3 != 0) {
+		throw new Error("a corner is twisted");
+	}
+	if (sum(cube.eo) % 2 != 0) {
+		throw new Error("an edge is flipped");
+	}
+	if (permParity(cube.cp) != permParity(cube.ep)) {
+		throw new Error("two pieces are swapped");
+	}
+}
+
+/*
+	A solution of a cube of cubies as { base, amount } moves: the shortest among those with
+	the fewest phase 1 moves that give one of at most target moves, or after timeLimit
+	milliseconds the shortest found by then. Going through all of that phase 1 length
+	rather than stopping at the first finds R' for R, not R followed by R2 done the long way.
+*/
+function solveCubies333(cube, target, timeLimit) {
+	checkCubies333(cube);
+
+	let t = solverTables333();
+	let started = Date.now();
+	let path = [];
+	let best = null;
+	let done = false;
+	let enough = false;
+
+	let phase2 = function(corner, edge, middle, depth, last) {
+		if (depth == 0) {
+			return corner == 0 && edge == 0 && middle == 0;
+		}
+
+		for (let i = 0; i < phase2Turns333.length; i++) {
+			let turn = turns333[phase2Turns333[i]];
+			if (skipTurn333(turn.face, last)) {
+				continue;
+			}
+			let c = t.corner[corner * 10 + i];
+			let e = t.edge[edge * 10 + i];
+			let m = t.middle[middle * 10 + i];
+			if (Math.max(t.cornerMiddle[c * 24 + m], t.edgeMiddle[e * 24 + m]) >= depth) {
+				continue;
+			}
+			path.push(turn);
+			if (phase2(c, e, m, depth - 1, turn.face)) {
+				return true;
+			}
+			path.pop();
+		}
+
+		return false;
+	};
+
+	/* the shortest phase 2 after the phase 1 in path, if it makes a shorter total */
+	let startPhase2 = function() {
+		let c = cube;
+		for (let i = 0; i < path.length; i++) {
+			c = multiplyCubies(c, path[i].cube);
+		}
+
+		let length = path.length;
+		let last = length > 0 ? path[length - 1].face : -1;
+		let corner = cornerCoord333(c);
+		let edge = edgeCoord333(c);
+		let middle = middleCoord333(c);
+		let most = Math.min(phase2Depth333, (best != null ? best.length - 1 : phase1Depth333 + phase2Depth333) - length);
+
+		for (let depth = Math.max(t.cornerMiddle[corner * 24 + middle], t.edgeMiddle[edge * 24 + middle]); depth <= most; depth++) {
+			if (phase2(corner, edge, middle, depth, last)) {
+				best = path.slice();
+				path.length = length;
+				enough = best.length <= target;
+				return;
+			}
+		}
+	};
+
+	let phase1 = function(twist, flip, slice, depth, last) {
+		if (depth == 0) {
+			/* ending on a turn phase 2 also has would make this a longer copy of a shorter phase 1 */
+			let turn = path[path.length - 1];
+			if (twist == 0 && flip == 0 && slice == 0 && (turn == null || phase2Turns333.indexOf(turns333.indexOf(turn)) == -1)) {
+				startPhase2();
+				done = done || (best != null && Date.now() - started > timeLimit);
+			}
+			return;
+		}
+
+		for (let i = 0; i < 18 && !done; i++) {
+			let turn = turns333[i];
+			if (skipTurn333(turn.face, last)) {
+				continue;
+			}
+			let tw = t.twist[twist * 18 + i];
+			let fl = t.flip[flip * 18 + i];
+			let sl = t.slice[slice * 18 + i];
+			if (Math.max(t.twistSlice[tw * 495 + sl], t.flipSlice[fl * 495 + sl]) >= depth) {
+				continue;
+			}
+			path.push(turn);
+			phase1(tw, fl, sl, depth - 1, turn.face);
+			path.pop();
+		}
+	};
+
+	let twist = twistCoord333(cube);
+	let flip = flipCoord333(cube);
+	let slice = sliceCoord333(cube);
+	let first = Math.max(t.twistSlice[twist * 495 + slice], t.flipSlice[flip * 495 + slice]);
+
+	for (let depth = first; depth <= phase1Depth333 && !done && !enough && (best == null || depth < best.length); depth++) {
+		phase1(twist, flip, slice, depth, -1);
+	}
+
+	return best.map(function(turn) { return { base: turn.base, amount: turn.amount }; });
+}
+
+/* a solution of a 3x3x3 state, as a move string: done once it has one of at most 20 moves, else the shortest found in about a second, mostly 19 to 21 moves */
+function solve333(state) {
+	return solveCubies333(stateToCubies(puzzle3, state, centreFaces333(state)), 20, 1000).map(moveText).join(" ");
+}
+
+function randomCubies333(random) {
+	let cube = solvedCubies(puzzle3);
+	cube.cp = indexToPerm(randomInt(random, 40320), 8);
+	cube.ep = indexToPerm(randomInt(random, 479001600), 12);
+
+	/* corners and edges are either both odd or both even */
+	if (permParity(cube.cp) != permParity(cube.ep)) {
+		cube.ep = cube.ep.slice(0, 10).concat([cube.ep[11], cube.ep[10]]);
+	}
+
+	cube.co = twistCubies333(randomInt(random, 2187)).co;
+	cube.eo = flipCubies333(randomInt(random, 2048)).eo;
+
+	return cube;
+}
+
+function randomScramble333(random) {
+	random = random || Math.random;
+
+	while (true) {
+		/* a scramble has no need to be the shortest, so take the first of 21 moves */
+		let solution = solveCubies333(randomCubies333(random), 21, 1000);
+		if (solution.length >= minLength333) {
+			return invertMoves(solution).map(moveText).join(" ");
+		}
+	}
+}
+scramblers["333"] = randomScramble333;
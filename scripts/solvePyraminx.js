@@ -0,0 +1,155 @@
+/*
+	Random-state scrambles and optimal solutions for the pyraminx.
+
+	Without the tips it has 6 edges and 4 centres, each read off its stickers: edge
+	positions list their two stickers and an edge is flipped if its first colour is on
+	the second one; centres list theirs in the order U, R, L or B turns them and are
+	twisted by how far the first colour has gone round. The coordinates are the edge
+	permutation (720), the flips (64) and the twists (81). Only half the permutations
+	and flips can be reached; the pruning table says which.
+*/
+
+const edgesPyraminx = [["F2", "L8"], ["L3", "R3"], ["F4", "R6"], ["R8", "D8"], ["F7", "D3"], ["L6", "D6"]];
+
+const centresPyraminx = [["F3", "L4", "R2"], ["F8", "R7", "D4"], ["F6", "D2", "L7"], ["R4", "L2", "D7"]];
+
+const tipsPyraminx = { "u": ["F1", "L5", "R1"], "r": ["F9", "R9", "D5"], "l": ["F5", "D1", "L9"], "b": ["R5", "L1", "D9"] };
+
+/* WCA regulation 4b3: a pyraminx scramble must need at least 6 moves, not counting tips */
+const minLengthPyraminx = 6;
+
+const edgeColoursPyraminx = edgesPyraminx.map(function(e) { return stickerColours(puzzleP, puzzleP.solved, e); });
+
+/* which edge sits at each position, -1 if none has its colours, and whether it is flipped */
+function readEdgesPyraminx(state) {
+	let perm = [];
+	let flip = [];
+
+	for (let p = 0; p < 6; p++) {
+		let colours = stickerColours(puzzleP, state, edgesPyraminx[p]);
+		perm.push(-1);
+		flip.push(0);
+		for (let e = 0; e < 6; e++) {
+			if (edgeColoursPyraminx[e].join() == colours.join() || edgeColoursPyraminx[e].join() == colours[1] + "," + colours[0]) {
+				perm[p] = e;
+				flip[p] = edgeColoursPyraminx[e][0] == colours[0] ? 0 : 1;
+			}
+		}
+	}
+
+	return { perm: perm, flip: flip };
+}
+
+function writeEdgesPyraminx(perm, flip) {
+	let state = puzzleP.solved.slice();
+
+	for (let p = 0; p < 6; p++) {
+		for (let k = 0; k < 2; k++) {
+			state[puzzleP.index[edgesPyraminx[p][(k + flip[p]) % 2]]] = edgeColoursPyraminx[perm[p]][k];
+		}
+	}
+
+	return state;
+}
+
+/* how far the first colour of sticker list has been turned round it */
+function twistOf(puzzle, state, stickers) {
+	return stickerColours(puzzle, state, stickers).indexOf(puzzle.solved[puzzle.index[stickers[0]]]);
+}
+
+function twistCoordPyraminx(state) {
+	let n = 0;
+
+	for (let c = 0; c < 4; c++) {
+		n = n * 3 + twistOf(puzzleP, state, centresPyraminx[c]);
+	}
+
+	return n;
+}
+
+function twistStatePyraminx(n) {
+	let state = puzzleP.solved.slice();
+
+	for (let c = 3; c >= 0; c--) {
+		let stickers = centresPyraminx[c];
+		for (let k = 0; k < 3; k++) {
+			state[puzzleP.index[stickers[(k + n % 3) % 3]]] = puzzleP.solved[puzzleP.index[stickers[k]]];
+		}
+		n = Math.floor(n / 3);
+	}
+
+	return state;
+}
+
+function flipCoordPyraminx(state) {
+	return readEdgesPyraminx(state).flip.reduce(function(n, f) { return n * 2 + f; }, 0);
+}
+
+function flipStatePyraminx(n) {
+	let flip = [];
+
+	for (let p = 5; p >= 0; p--) {
+		flip[p] = n % 2;
+		n = Math.floor(n / 2);
+	}
+
+	return writeEdgesPyraminx(identityPerm(6), flip);
+}
+
+const solverPyraminx = makeSolver({
+	puzzle: puzzleP,
+	moves: ["U", "L", "R", "B"],
+	amounts: [1, -1],
+	coords: [
+		{ size: 720, read: function(state) { return permToIndex(readEdgesPyraminx(state).perm); },
+			write: function(n) { return writeEdgesPyraminx(indexToPerm(n, 6), [0, 0, 0, 0, 0, 0]); } },
+		{ size: 64, read: flipCoordPyraminx, write: flipStatePyraminx },
+		{ size: 81, read: twistCoordPyraminx, write: twistStatePyraminx }
+	],
+	prune: [[0, 1, 2]]
+});
+
+/* the tip turns that put each tip back in line with its centre, for a state with the rest solved */
+function tipMovesPyraminx(state) {
+	let moves = [];
+
+	for (let tip in tipsPyraminx) {
+		let t = twistOf(puzzleP, state, tipsPyraminx[tip]);
+		if (t != 0) {
+			moves.push({ base: tip, amount: t == 1 ? -1 : 1 });
+		}
+	}
+
+	return moves;
+}
+
+/* an optimal solution of a pyraminx state, as a move string with the tips last */
+function solvePyraminx(state) {
+	let moves = solveState(solverPyraminx, state, 11);
+	let tips = tipMovesPyraminx(applyMoves(puzzleP, state, moves));
+
+	return moves.concat(tips).map(moveText).join(" ");
+}
+
+function randomScramblePyraminx(random) {
+	random = random || Math.random;
+	let tables = solverTables(solverPyraminx);
+	let scramble = randomStateScramble(solverPyraminx, function(random) {
+		while (true) {
+			let coords = [randomInt(random, 720), randomInt(random, 64), randomInt(random, 81)];
+			if (tables.prune[0][groupIndex(coords, [720, 64, 81], [0, 1, 2])] != -1) {
+				return coords;
+			}
+		}
+	}, minLengthPyraminx, 11, random);
+
+	for (let tip in tipsPyraminx) {
+		let turn = randomInt(random, 3);
+		if (turn > 0) {
+			scramble += " " + moveText({ base: tip, amount: turn == 1 ? 1 : -1 });
+		}
+	}
+
+	return scramble;
+}
+scramblers["pyram"] = randomScramblePyraminx;
@@ -0,0 +1,180 @@
+/*
+	Random-state scrambles and optimal solutions for the skewb.
+
+	R, L, U and B never move the UFR corner, so it is the one the rest is solved to. The
+	other corners come in two sets that never mix: UFL, DFR, DBL and UBR go round each
+	other, while UBL, DFL and DBR only swap among themselves. Corners list their stickers
+	clockwise from the U or D one and are twisted by where that colour is.
+
+	The coordinates are the centres (720 permutations), the first set of corners (24
+	permutations times 81 twists) and the second (6 times 27).
+*/
+
+const cornersSkewb = [["U2", "F1", "L2"], ["D1", "F5", "R4"], ["D5", "B5", "L4"], ["U4", "B1", "R2"],
+	["U1", "L1", "B2"], ["D2", "L5", "F4"], ["D4", "R5", "B4"], ["U5", "R1", "F2"]];
+
+const centresSkewb = ["U3", "L3", "F3", "R3", "B3", "D3"];
+
+/* WCA regulation 4b3: a skewb scramble must need at least 7 moves */
+const minLengthSkewb = 7;
+
+const cornerColoursSkewb = cornersSkewb.map(function(c) { return stickerColours(puzzleS, puzzleS.solved, c); });
+
+function readCornersSkewb(state) {
+	let perm = [];
+	let twist = [];
+
+	for (let p = 0; p < 8; p++) {
+		let colours = stickerColours(puzzleS, state, cornersSkewb[p]);
+		let t = colours.indexOf(w) != -1 ? colours.indexOf(w) : colours.indexOf(y);
+		let turned = [colours[t], colours[(t + 1) % 3], colours[(t + 2) % 3]].join();
+
+		perm.push(cornerColoursSkewb.findIndex(function(c) { return c.join() == turned; }));
+		twist.push(t);
+	}
+
+	return { perm: perm, twist: twist };
+}
+
+/* the coordinate of corners first .. first+count-1, which only go round each other */
+function cornerCoordSkewb(state, first, count) {
+	let corners = readCornersSkewb(state);
+	let perm = corners.perm.slice(first, first + count).map(function(c) { return c - first; });
+	let twist = corners.twist.slice(first, first + count).reduce(function(n, t) { return n * 3 + t; }, 0);
+
+	return permToIndex(perm) * Math.pow(3, count) + twist;
+}
+
+function cornerStateSkewb(n, first, count) {
+	let twists = Math.pow(3, count);
+	let perm = indexToPerm(Math.floor(n / twists), count);
+	let twist = n % twists;
+	let state = puzzleS.solved.slice();
+
+	for (let i = count - 1; i >= 0; i--) {
+		let p = first + i;
+		let t = twist % 3;
+		for (let k = 0; k < 3; k++) {
+			state[puzzleS.index[cornersSkewb[p][(t + k) % 3]]] = cornerColoursSkewb[first + perm[i]][k];
+		}
+		twist = Math.floor(twist / 3);
+	}
+
+	return state;
+}
+
+function centreCoordSkewb(state) {
+	let solved = centresSkewb.map(function(s) { return puzzleS.solved[puzzleS.index[s]]; });
+	return permToIndex(centresSkewb.map(function(s) { return solved.indexOf(state[puzzleS.index[s]]); }));
+}
+
+function centreStateSkewb(n) {
+	let perm = indexToPerm(n, 6);
+	let state = puzzleS.solved.slice();
+
+	for (let i = 0; i < 6; i++) {
+		state[puzzleS.index[centresSkewb[i]]] = puzzleS.solved[puzzleS.index[centresSkewb[perm[i]]]];
+	}
+
+	return state;
+}
+
+const solverSkewb = makeSolver({
+	puzzle: puzzleS,
+	moves: ["R", "L", "U", "B"],
+	amounts: [1, -1],
+	coords: [
+		{ size: 720, read: centreCoordSkewb, write: centreStateSkewb },
+		{ size: 1944, read: function(state) { return cornerCoordSkewb(state, 0, 4); },
+			write: function(n) { return cornerStateSkewb(n, 0, 4); } },
+		{ size: 162, read: function(state) { return cornerCoordSkewb(state, 4, 3); },
+			write: function(n) { return cornerStateSkewb(n, 4, 3); } }
+	],
+	prune: [[0, 1], [0, 2]]
+});
+
+/* an optimal solution of a skewb state, as a move string */
+function solveSkewb(state) {
+	return solveState(solverSkewb, state, 11).map(moveText).join(" ");
+}
+
+/*
+	Which twists go with which permutations: a turn adds the same to the twists of each set
+	of corners whatever the state, so a breadth first search over the permutations and the
+	twist totals finds the totals, sets A * 3 + B, that go with each permutation of the
+	centres and both sets of corners (-1 where the permutations can't be reached).
+*/
+function twistTotalsSkewb() {
+	let tables = solverTables(solverSkewb);
+	let turns = tables.turns.length;
+	let totals = new Int8Array(720 * 24 * 6).fill(-1);
+	let queue = [0];
+	totals[0] = 0;
+
+	let sum = function(twist, count) {
+		let s = 0;
+		for (let i = 0; i < count; i++) {
+			s += twist % 3;
+			twist = Math.floor(twist / 3);
+		}
+		return s % 3;
+	};
+
+	for (let head = 0; head < queue.length; head++) {
+		let index = queue[head];
+		let c = Math.floor(index / 144);
+		let a = Math.floor(index / 6) % 24;
+		let b = index % 6;
+
+		for (let m = 0; m < turns; m++) {
+			let nextA = tables.moves[1][a * 81 * turns + m];
+			let nextB = tables.moves[2][b * 27 * turns + m];
+			let next = (tables.moves[0][c * turns + m] * 24 + Math.floor(nextA / 81)) * 6 + Math.floor(nextB / 27);
+
+			if (totals[next] == -1) {
+				let sa = (Math.floor(totals[index] / 3) + sum(nextA % 81, 4)) % 3;
+				let sb = (totals[index] % 3 + sum(nextB % 27, 3)) % 3;
+				totals[next] = sa * 3 + sb;
+				queue.push(next);
+			}
+		}
+	}
+
+	return totals;
+}
+
+/* count twists picked at random, the last one making them add up to total */
+function randomTwists(random, count, total) {
+	let n = 0;
+	let sum = 0;
+
+	for (let i = 0; i < count - 1; i++) {
+		let t = randomInt(random, 3);
+		n = n * 3 + t;
+		sum += t;
+	}
+
+	return n * 3 + ((total - sum) % 3 + 3) % 3;
+}
+
+let twistTotals = null;
+
+function randomScrambleSkewb(random) {
+	if (twistTotals == null) {
+		twistTotals = twistTotalsSkewb();
+	}
+
+	return randomStateScramble(solverSkewb, function(random) {
+		while (true) {
+			let c = randomInt(random, 720);
+			let a = randomInt(random, 24);
+			let b = randomInt(random, 6);
+			let totals = twistTotals[(c * 24 + a) * 6 + b];
+
+			if (totals != -1) {
+				return [c, a * 81 + randomTwists(random, 4, Math.floor(totals / 3)), b * 27 + randomTwists(random, 3, totals % 3)];
+			}
+		}
+	}, minLengthSkewb, 11, random);
+}
+scramblers["skb"] = randomScrambleSkewb;
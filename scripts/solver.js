@@ -0,0 +1,249 @@
+/*
+	Optimal solutions by IDA*, for puzzles small enough to describe with a few coordinates:
+	numbers 0 .. size-1 that each say where some of the pieces are, read off the stickers.
+	What a move does to a coordinate is looked up in a table made by turning the sticker
+	model, and the fewest moves each group of coordinates needs comes from a pruning table
+	filled in breadth first.
+
+	def: {
+		puzzle, moves: the move names to solve with, amounts: [1, 2, -1] or [1, -1],
+		coords: [{ size, read(state), write(n) }], write(n) giving a state with that
+			coordinate and the others solved,
+		prune: groups of coordinates, [[0, 1], [2]], with a pruning table each
+	}
+	The tables are only made the first time the solver is used.
+*/
+
+const scramblers = {};
+
+function makeSolver(def) {
+	return { def: def, tables: null };
+}
+
+function solverTables(solver) {
+	if (solver.tables != null) {
+		return solver.tables;
+	}
+
+	let def = solver.def;
+	let turns = [];
+	for (let i = 0; i < def.moves.length; i++) {
+		for (let j = 0; j < def.amounts.length; j++) {
+			turns.push({ base: def.moves[i], amount: def.amounts[j], perm: turnPerm(def.puzzle, def.moves[i], def.amounts[j]) });
+		}
+	}
+
+	let moveTables = [];
+	let solved = [];
+	for (let c = 0; c < def.coords.length; c++) {
+		let coord = def.coords[c];
+		let table = new Int32Array(coord.size * turns.length);
+
+		for (let n = 0; n < coord.size; n++) {
+			let state = coord.write(n);
+			for (let m = 0; m < turns.length; m++) {
+				table[n * turns.length + m] = coord.read(applyPerm(state, turns[m].perm));
+			}
+		}
+		moveTables.push(table);
+		solved.push(coord.read(def.puzzle.solved));
+	}
+
+	solver.tables = { turns: turns, moves: moveTables, solved: solved, prune: [] };
+	for (let g = 0; g < def.prune.length; g++) {
+		solver.tables.prune.push(pruneTable(solver.tables, def.coords, def.prune[g]));
+	}
+
+	return solver.tables;
+}
+
+/* the index of the coordinates of a group in its pruning table, the first one varying slowest */
+function groupIndex(coords, sizes, group) {
+	let index = 0;
+
+	for (let i = 0; i < group.length; i++) {
+		index = index * sizes[group[i]] + coords[group[i]];
+	}
+
+	return index;
+}
+
+function pruneTable(tables, coords, group) {
+	let sizes = coords.map(function(c) { return c.size; });
+	let size = 1;
+	for (let i = 0; i < group.length; i++) {
+		size *= sizes[group[i]];
+	}
+
+	let dist = new Int8Array(size).fill(-1);
+	let queue = new Int32Array(size);
+	let turns = tables.turns.length;
+	let groupSizes = group.map(function(g) { return sizes[g]; });
+	let groupMoves = group.map(function(g) { return tables.moves[g]; });
+	let parts = new Int32Array(group.length);
+	let head = 0;
+	let tail = 0;
+
+	queue[tail++] = groupIndex(tables.solved, sizes, group);
+	dist[queue[0]] = 0;
+
+	while (head < tail) {
+		let index = queue[head++];
+		for (let i = group.length - 1, rest = index; i >= 0; i--) {
+			parts[i] = rest % groupSizes[i];
+			rest = (rest - parts[i]) / groupSizes[i];
+		}
+
+		for (let m = 0; m < turns; m++) {
+			let next = 0;
+			for (let i = 0; i < group.length; i++) {
+				next = next * groupSizes[i] + groupMoves[i][parts[i] * turns + m];
+			}
+			if (dist[next] == -1) {
+				dist[next] = dist[index] + 1;
+				queue[tail++] = next;
+			}
+		}
+	}
+
+	return dist;
+}
+
+/* the fewest moves the coordinates could be solved in, by the pruning tables */
+function solverBound(solver, coords) {
+	let tables = solver.tables;
+	let sizes = solver.def.coords.map(function(c) { return c.size; });
+	let bound = 0;
+
+	for (let g = 0; g < solver.def.prune.length; g++) {
+		bound = Math.max(bound, tables.prune[g][groupIndex(coords, sizes, solver.def.prune[g])]);
+	}
+
+	return bound;
+}
+
+/* an optimal solution of the coordinates as { base, amount } moves, or null if it needs more than maxDepth */
+function solveCoords(solver, coords, maxDepth) {
+	let tables = solverTables(solver);
+	let path = [];
+
+	let search = function(coords, depth, last) {
+		let bound = solverBound(solver, coords);
+		if (bound > depth) {
+			return false;
+		}
+		if (depth == 0) {
+			return coords.every(function(c, i) { return c == tables.solved[i]; });
+		}
+
+		for (let m = 0; m < tables.turns.length; m++) {
+			if (tables.turns[m].base == last) {
+				continue;
+			}
+			let next = coords.map(function(c, i) { return tables.moves[i][c * tables.turns.length + m]; });
+			path.push(tables.turns[m]);
+			if (search(next, depth - 1, tables.turns[m].base)) {
+				return true;
+			}
+			path.pop();
+		}
+
+		return false;
+	};
+
+	for (let depth = solverBound(solver, coords); depth <= maxDepth; depth++) {
+		if (search(coords, depth, null)) {
+			return path.map(function(t) { return { base: t.base, amount: t.amount }; });
+		}
+	}
+
+	return null;
+}
+
+/* an optimal solution of a sticker state, as moves */
+function solveState(solver, state, maxDepth) {
+	return solveCoords(solver, solver.def.coords.map(function(c) { return c.read(state); }), maxDepth);
+}
+
+function moveText(move) {
+	return move.base + (move.amount == 2 || move.amount == -2 ? "2" : move.amount < 0 ? "'" : "");
+}
+
+/* the moves undoing moves, last first */
+function invertMoves(moves) {
+	return moves.slice().reverse().map(function(m) {
+		return { base: m.base, amount: m.amount == 2 ? 2 : -m.amount };
+	});
+}
+
+/*
+	A scramble for a state picked uniformly at random: randomCoords(random) gives its
+	coordinates, and states that solve in fewer than minLength moves are thrown back.
+*/
+function randomStateScramble(solver, randomCoords, minLength, maxDepth, random) {
+	random = random || Math.random;
+
+	while (true) {
+		let solution = solveCoords(solver, randomCoords(random), maxDepth);
+		if (solution != null && solution.length >= minLength) {
+			return invertMoves(solution).map(moveText).join(" ");
+		}
+	}
+}
+
+/* the colours on a list of stickers */
+function stickerColours(puzzle, state, stickers) {
+	return stickers.map(function(s) { return state[puzzle.index[s]]; });
+}
+
+/* the rank of a permutation of 0 .. n-1 among all of them, and back */
+function permToIndex(p) {
+	let index = 0;
+
+	for (let i = 0; i < p.length; i++) {
+		let smaller = 0;
+		for (let j = i + 1; j < p.length; j++) {
+			if (p[j] < p[i]) {
+				smaller++;
+			}
+		}
+		index = index * (p.length - i) + smaller;
+	}
+
+	return index;
+}
+
+/* 0 for an even permutation, 1 for an odd one */
+function permParity(p) {
+	let parity = 0;
+
+	for (let i = 0; i < p.length; i++) {
+		for (let j = i + 1; j < p.length; j++) {
+			if (p[j] < p[i]) {
+				parity ^= 1;
+			}
+		}
+	}
+
+	return parity;
+}
+
+function indexToPerm(index, n) {
+	let digits = [];
+	for (let i = n - 1; i >= 0; i--) {
+		digits[i] = index % (n - i);
+		index = Math.floor(index / (n - i));
+	}
+
+	let left = identityPerm(n);
+	let p = [];
+	for (let i = 0; i < n; i++) {
+		p.push(left.splice(digits[i], 1)[0]);
+	}
+
+	return p;
+}
+
+function randomInt(random, n) {
+	return Math.floor(random() * n);
+}
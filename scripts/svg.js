@@ -0,0 +1,205 @@
+/*
+	SVG markup for any puzzle as a string, so it can go in a page, a file or anything
+	else that takes SVG. Nothing here touches the page.
+
+	Options, in SVG units: size is the edge of a sticker, gap the space between faces and
+	stroke the width of the outlines. scheme, if given, says what to draw each face's
+	colour as, { U: "#FFFFFF", F: "#00FF00", .. }: states keep the colours they always
+	have and only the picture changes. marks, "patterns" or "letters", puts a pattern or the
+	first letter of its colour on every sticker for anyone who can't tell the colours apart;
+	a colour with no pattern gets its letter. mask, { U1: "grey", U2: "oriented", "*": .. },
+	greys out stickers that don't matter, "oriented" ones showing only the U and D colours
+	and "*" going for every sticker not named; masks.js makes these.
+
+	Sticker puzzles give shapes(options), the outline of every sticker by name, and get
+	filled in from the state; the rest draw themselves with svg(state, options).
+*/
+
+const svgDefaults = { size: 20, gap: 2, stroke: 1, scheme: null, marks: null, mask: null };
+
+const maskGrey = "#808080";
+
+/* the face each of the six colours is on the cube, which a scheme recolours */
+const colourFaces = {};
+colourFaces[w] = "U";
+colourFaces[r] = "R";
+colourFaces[g] = "F";
+colourFaces[y] = "D";
+colourFaces[o] = "L";
+colourFaces[b] = "B";
+
+/* the scheme for a sticker puzzle, none for the megaminx: it has more colours than a scheme of six can say */
+function puzzleScheme(puzzle, scheme) {
+	return puzzle.solved.every(function(c) { return colourFaces[c] != null; }) ? scheme : null;
+}
+
+/* a sticker's colour with a mask over it */
+function maskedColour(mask, sticker, colour) {
+	let role = mask != null && sticker != null ? mask[sticker] || mask["*"] : null;
+	let oriented = colourFaces[colour] == "U" || colourFaces[colour] == "D";
+
+	return role == "grey" || (role == "oriented" && !oriented) ? maskGrey : colour;
+}
+
+function schemeColour(scheme, colour) {
+	let face = colourFaces[colour];
+	return scheme != null && face != null && scheme[face] != null ? scheme[face] : colour;
+}
+
+/* what marks each colour, red and orange or green and yellow never alike; white stays plain */
+const colourMarks = {};
+colourMarks[w] = { letter: "W", pattern: "" };
+colourMarks[y] = { letter: "Y", pattern: "dots" };
+colourMarks[r] = { letter: "R", pattern: "stripes" };
+colourMarks[o] = { letter: "O", pattern: "crosshatch" };
+colourMarks[g] = { letter: "G", pattern: "rows" };
+colourMarks[b] = { letter: "B", pattern: "columns" };
+
+/* the lines of each pattern in a tile of side t */
+const markPatterns = {
+	"dots": function(t) { return '<circle cx="' + svgNumber(t / 2) + '" cy="' + svgNumber(t / 2) + '" r="' + svgNumber(t / 5) + '" fill="black"></circle>'; },
+	"stripes": function(t) { return '<path d="M0 ' + svgNumber(t) + " L" + svgNumber(t) + ' 0" stroke="black"></path>'; },
+	"crosshatch": function(t) { return '<path d="M0 ' + svgNumber(t) + " L" + svgNumber(t) + " 0 M0 0 L" + svgNumber(t) + " " + svgNumber(t) + '" stroke="black"></path>'; },
+	"rows": function(t) { return '<path d="M0 ' + svgNumber(t / 2) + " L" + svgNumber(t) + " " + svgNumber(t / 2) + '" stroke="black"></path>'; },
+	"columns": function(t) { return '<path d="M' + svgNumber(t / 2) + " 0 L" + svgNumber(t / 2) + " " + svgNumber(t) + '" stroke="black"></path>'; }
+};
+
+/* the mark for a sticker drawn as drawn that is colour in the state: a custom scheme's colours go by their face */
+function stickerMark(colour, drawn) {
+	return colourMarks[drawn] || colourMarks[colour] || null;
+}
+
+function svgOptions(options) {
+	let merged = {};
+
+	for (let k in svgDefaults) {
+		merged[k] = options && options[k] != null ? options[k] : svgDefaults[k];
+	}
+
+	return merged;
+}
+
+function puzzleSvg(puzzle, state, options) {
+	options = svgOptions(options);
+
+	if (puzzle.svg) {
+		return puzzle.svg(state, options);
+	}
+
+	options.scheme = puzzleScheme(puzzle, options.scheme);
+
+	let outlines = puzzle.shapes(options);
+	let shapes = [];
+	for (let i = 0; i < puzzle.stickers.length; i++) {
+		shapes.push({ points: outlines[puzzle.stickers[i]], fill: state[i], sticker: puzzle.stickers[i] });
+	}
+
+	return svgPolygons(shapes, options);
+}
+
+/* polygons { points: [[x, y], ..], fill, sticker } in an svg whose viewBox just fits them, with any overlay markup on top */
+function svgPolygons(shapes, options, overlay) {
+	let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+	let body = "";
+	let marks = "";
+	let used = {};
+
+	for (let i = 0; i < shapes.length; i++) {
+		let points = shapes[i].points.map(function(p) {
+			minX = Math.min(minX, p[0]);
+			minY = Math.min(minY, p[1]);
+			maxX = Math.max(maxX, p[0]);
+			maxY = Math.max(maxY, p[1]);
+			return svgNumber(p[0]) + " " + svgNumber(p[1]);
+		});
+		let colour = maskedColour(options.mask, shapes[i].sticker, shapes[i].fill);
+		let fill = schemeColour(options.scheme, colour);
+		body += '<polygon points="' + points.join(", ") + '" fill="' + fill + '" stroke="black" stroke-width="' + options.stroke + '"' +
+			(shapes[i].sticker ? ' data-sticker="' + shapes[i].sticker + '"' : "") + "></polygon>";
+
+		let mark = options.marks ? stickerMark(colour, fill) : null;
+		if (mark == null) {
+			continue;
+		}
+		if (options.marks == "patterns" && mark.pattern != null) {
+			if (mark.pattern != "") {
+				used[mark.pattern] = true;
+				marks += '<polygon points="' + points.join(", ") + '" fill="url(#' + markId(mark.pattern, options) + ')" stroke="none"></polygon>';
+			}
+		} else {
+			marks += svgLetter(shapes[i].points, mark.letter, fill);
+		}
+	}
+
+	/* marks go over every sticker and let clicks through to them */
+	if (marks != "") {
+		body += '<g style="pointer-events:none;">' + markDefs(used, options) + marks + "</g>";
+	}
+	body += overlay || "";
+
+	let m = options.stroke;
+	return svgWrap([minX - m, minY - m, maxX - minX + 2 * m, maxY - minY + 2 * m], body);
+}
+
+/* pattern ids carry the size, as every svg on a page shares them */
+function markId(pattern, options) {
+	return "mark-" + pattern + "-" + svgNumber(options.size).replace(".", "_");
+}
+
+function markDefs(used, options) {
+	let t = options.size / 4;
+	let defs = "";
+
+	for (let pattern in used) {
+		defs += '<pattern id="' + markId(pattern, options) + '" patternUnits="userSpaceOnUse" width="' + svgNumber(t) + '" height="' + svgNumber(t) + '"' +
+			' style="stroke-width:' + svgNumber(t / 5) + ';opacity:0.45;">' + markPatterns[pattern](t) + "</pattern>";
+	}
+
+	return defs == "" ? "" : "<defs>" + defs + "</defs>";
+}
+
+/* a letter in the middle of a sticker, as big as the sticker allows, dark on light colours */
+function svgLetter(points, letter, fill) {
+	let area = 0, x = 0, y = 0;
+	for (let i = 0; i < points.length; i++) {
+		area += (points[i][0] * points[(i + 1) % points.length][1] - points[(i + 1) % points.length][0] * points[i][1]) / 2;
+		x += points[i][0] / points.length;
+		y += points[i][1] / points.length;
+	}
+
+	let rgb = [1, 3, 5].map(function(k) { return parseInt(fill.length == 4 ? fill[(k + 1) / 2].repeat(2) : fill.slice(k, k + 2), 16); });
+	let light = 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2] > 140;
+	let size = Math.sqrt(Math.abs(area)) * (letter.length > 1 ? 0.4 : 0.55);
+
+	return '<text x="' + svgNumber(x) + '" y="' + svgNumber(y) + '" font-size="' + svgNumber(size) + '" font-family="sans-serif" font-weight="bold"' +
+		' text-anchor="middle" dominant-baseline="central" fill="' + (light ? "black" : "white") + '">' + letter + "</text>";
+}
+
+function svgWrap(box, body) {
+	return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="' + box.map(svgNumber).join(" ") + '" style="stroke-linejoin:round;"><g>' + body + "</g></svg>";
+}
+
+/* at most two decimals, and none on whole numbers */
+function svgNumber(x) {
+	return String(Math.round(x * 100) / 100);
+}
+
+function svgSquare(x, y, size) {
+	return [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+}
+
+/* the cube net every size uses: L F R B in a row with U above F and D below it */
+function cubeNetShapes(n, options) {
+	let s = options.size;
+	let step = n * s + options.gap;
+	let origins = { "U": [1, 0], "L": [0, 1], "F": [1, 1], "R": [2, 1], "B": [3, 1], "D": [1, 2] };
+	let shapes = {};
+
+	for (let face in origins) {
+		for (let i = 0; i < n * n; i++) {
+			shapes[face + (i + 1)] = svgSquare(origins[face][0] * step + (i % n) * s, origins[face][1] * step + Math.floor(i / n) * s, s);
+		}
+	}
+
+	return shapes;
+}
@@ -0,0 +1,316 @@
+/*
+	What is wrong with a sticker state, for states typed in or painted from a real puzzle:
+	validateState(puzzle, state) gives a list of sentences saying what, empty when the
+	state can be solved.
+
+	Every puzzle has its colours counted. The 2x2x2, 3x3x3, skewb and pyraminx then have
+	each piece read off its stickers, and once every piece is there exactly once, the
+	twists, flips and swaps checked against what turning can do.
+
+	A painted puzzle may be held any way up, so the skewb and pyraminx are first recoloured
+	as their solvers would have them, using the whole-puzzle turns as maps of face letters:
+	had the puzzle been turned by a map, what has face X's colour would have face map[X]'s.
+	The pieces stay where they are, so moves found for the recoloured state solve the
+	puzzle as it is held, and solvePainted(puzzle, state, solve) does that for the 2x2x2
+	too, whose solver wants DBL home. The 3x3x3 is read against its centres and the 2x2x2
+	needs no recolouring for its checks, neither twists nor swaps changing when it turns.
+*/
+
+const validators = {};
+
+const colourNames = {};
+colourNames[w] = "white";
+colourNames[y] = "yellow";
+colourNames[r] = "red";
+colourNames[o] = "orange";
+colourNames[b] = "blue";
+colourNames[g] = "green";
+
+function colourName(colour) {
+	return colourNames[colour] || colour;
+}
+
+/* "there is 1 green sticker" or "there are 2 green stickers" */
+function thereAre(count, noun) {
+	return count == 1 ? "there is 1 " + noun : "there are " + count + " " + noun + "s";
+}
+
+/* a piece by its colours, "white-green-red" */
+function pieceName(colours) {
+	return colours.map(colourName).join("-");
+}
+
+function validateState(puzzle, state) {
+	let problems = colourCountProblems(puzzle, state);
+
+	if (validators[puzzle.name]) {
+		problems = problems.concat(validators[puzzle.name](state));
+	}
+
+	return problems;
+}
+
+function colourCountProblems(puzzle, state) {
+	let wanted = {};
+	let found = {};
+	let problems = [];
+
+	for (let i = 0; i < puzzle.solved.length; i++) {
+		wanted[puzzle.solved[i]] = (wanted[puzzle.solved[i]] || 0) + 1;
+		found[state[i]] = (found[state[i]] || 0) + 1;
+	}
+
+	for (let c in wanted) {
+		if (found[c] != wanted[c]) {
+			problems.push(thereAre(found[c] || 0, colourName(c) + " sticker") + ", not " + wanted[c]);
+		}
+	}
+	for (let c in found) {
+		if (wanted[c] == null) {
+			problems.push((found[c] == 1 ? "a sticker has" : found[c] + " stickers have") + " a colour the " + puzzle.title + " doesn't have");
+		}
+	}
+
+	return problems;
+}
+
+/* every whole-puzzle turn the generators make, as face maps { U: "B", .. } */
+function faceRotations(generators) {
+	let faces = Object.keys(generators[0]);
+	let rotations = [generators[0]];
+	let key = function(map) { return faces.map(function(f) { return map[f]; }).join(""); };
+	let seen = {};
+	seen[key(generators[0])] = true;
+
+	for (let i = 0; i < rotations.length; i++) {
+		for (let g = 0; g < generators.length; g++) {
+			let next = {};
+			for (let f of faces) {
+				next[f] = generators[g][rotations[i][f]];
+			}
+			if (!seen[key(next)]) {
+				seen[key(next)] = true;
+				rotations.push(next);
+			}
+		}
+	}
+
+	return rotations;
+}
+
+/* the whole-cube turns x and y as face maps, and all 24 they make */
+const cubeRotations = faceRotations([
+	{ U: "B", B: "D", D: "F", F: "U", L: "L", R: "R" },
+	{ U: "U", D: "D", F: "L", L: "B", B: "R", R: "F" }
+]);
+
+/* state recoloured as if the puzzle were turned by a face map: what has face X's colour gets face map[X]'s */
+function recolourState(puzzle, state, map) {
+	let colour = function(face) { return puzzle.solved[puzzle.index[face + "1"]]; };
+	let recolour = {};
+	for (let f in map) {
+		recolour[colour(f)] = colour(map[f]);
+	}
+
+	return state.map(function(c) { return recolour[c]; });
+}
+
+/* the state recoloured by the first of rotations for which home(recoloured) holds, or null */
+function heldState(puzzle, state, rotations, home) {
+	for (let map of rotations) {
+		let recoloured = recolourState(puzzle, state, map);
+		if (home(recoloured)) {
+			return recoloured;
+		}
+	}
+
+	return null;
+}
+
+/* problems with pieces that aren't any piece, or are there more than once */
+function pieceProblems(kind, positions, perm, colours) {
+	let problems = [];
+	let count = {};
+
+	for (let i = 0; i < perm.length; i++) {
+		if (perm[i] == -1) {
+			problems.push("the " + kind + " at " + positions[i] + " has colours no " + kind + " has");
+		} else {
+			count[perm[i]] = (count[perm[i]] || 0) + 1;
+		}
+	}
+	for (let p in count) {
+		if (count[p] > 1) {
+			problems.push(thereAre(count[p], pieceName(colours[p]) + " " + kind));
+		}
+	}
+
+	return problems;
+}
+
+function cubieProblems(puzzle, state) {
+	let model = cubieModels[puzzle.name];
+	let problems = [];
+	let faces = null;
+	let pieceColours = function(pieces) {
+		return pieces.map(function(p) { return stickerColours(puzzle, puzzle.solved, p); });
+	};
+
+	if (model.centres.length > 0) {
+		let centres = model.centres.map(function(c) { return c[0]; });
+		let turned = cubeRotations.some(function(map) {
+			return centres.every(function(c) { return state[puzzle.index[c]] == puzzle.solved[puzzle.index[map[c[0]] + c.slice(1)]]; });
+		});
+		if (turned) {
+			faces = centreFaces333(state);
+		} else {
+			problems.push("the centres aren't where any way of holding the cube puts them");
+		}
+	}
+
+	let cube = readCubies(puzzle, state, faces);
+	problems = problems.concat(pieceProblems("corner", model.cornerNames, cube.cp, pieceColours(model.corners)),
+		pieceProblems("edge", model.edgeNames, cube.ep, pieceColours(model.edges)));
+	if (problems.length > 0) {
+		return problems;
+	}
+
+	let twist = cube.co.reduce(function(a, b) { return a + b; }, 0) % 3;
+	if (twist != 0) {
+		problems.push("a corner is twisted " + (twist == 1 ? "clockwise" : "anticlockwise"));
+	}
+	if (cube.eo.reduce(function(a, b) { return a + b; }, 0) % 2 != 0) {
+		problems.push("an edge is flipped");
+	}
+	if (model.edges.length > 0 && permParity(cube.cp) != permParity(cube.ep)) {
+		problems.push("two edges or two corners are swapped");
+	}
+
+	return problems;
+}
+
+validators["222"] = function(state) { return cubieProblems(puzzle2, state); };
+validators["333"] = function(state) { return cubieProblems(puzzle3, state); };
+
+let skewbTotals = null;
+
+validators["skb"] = function(state) {
+	let problems = pieceProblems("corner", cornersSkewb.map(function(c) { return c.join(" "); }), readCornersSkewb(state).perm, cornerColoursSkewb);
+	let centres = centresSkewb.map(function(c) { return state[puzzleS.index[c]]; });
+	if (centres.some(function(c, i) { return centres.indexOf(c) != i; })) {
+		problems.push("two centres have the same colour");
+	}
+	if (problems.length > 0) {
+		return problems;
+	}
+
+	let home = solverHolds["skb"](state);
+	let corners = readCornersSkewb(home);
+	if (corners.perm.slice(0, 4).some(function(c) { return c >= 4; })) {
+		return ["two corners are swapped that no turns can swap"];
+	}
+
+	if (skewbTotals == null) {
+		skewbTotals = twistTotalsSkewb();
+	}
+	let centre = centreCoordSkewb(home);
+	let setA = Math.floor(cornerCoordSkewb(home, 0, 4) / 81);
+	let setB = Math.floor(cornerCoordSkewb(home, 4, 3) / 27);
+	let totals = skewbTotals[(centre * 24 + setA) * 6 + setB];
+	if (totals == -1) {
+		return [permParity(indexToPerm(centre, 6)) != 0 ? "two centres are swapped" : "two corners are swapped"];
+	}
+
+	let sum = function(twists) { return twists.reduce(function(s, t) { return s + t; }, 0) % 3; };
+	if (sum(corners.twist.slice(0, 4)) != Math.floor(totals / 3) || sum(corners.twist.slice(4, 7)) != totals % 3) {
+		problems.push("a corner is twisted");
+	}
+
+	return problems;
+};
+
+/* the pyraminx turned about two of its corners, and all 12 ways of holding it */
+const pyraminxRotations = faceRotations([
+	{ F: "L", L: "R", R: "F", D: "D" },
+	{ F: "R", R: "D", D: "F", L: "L" }
+]);
+
+const pyraminxTips = ["u", "r", "l", "b"].map(function(t) { return tipsPyraminx[t]; });
+
+/* which of pieces has the colours, turned round any way, -1 if none */
+function turnedPiece(puzzle, state, stickers, pieces) {
+	let colours = stickerColours(puzzle, state, stickers);
+
+	return pieces.findIndex(function(p) {
+		let solved = stickerColours(puzzle, puzzle.solved, p);
+		return solved.some(function(c, k) { return solved.slice(k).concat(solved.slice(0, k)).join() == colours.join(); });
+	});
+}
+
+validators["pyram"] = function(state) {
+	let corners = ["U", "R", "L", "B"];
+	let colours = function(pieces) { return pieces.map(function(p) { return stickerColours(puzzleP, puzzleP.solved, p); }); };
+	let centres = centresPyraminx.map(function(c) { return turnedPiece(puzzleP, state, c, centresPyraminx); });
+	let tips = pyraminxTips.map(function(t) { return turnedPiece(puzzleP, state, t, centresPyraminx); });
+
+	let problems = pieceProblems("centre", corners, centres, colours(centresPyraminx))
+		.concat(pieceProblems("edge", edgesPyraminx.map(function(e) { return e.join(" "); }), readEdgesPyraminx(state).perm, colours(edgesPyraminx)));
+	for (let i = 0; i < 4; i++) {
+		if (tips[i] == -1) {
+			problems.push("the tip at " + corners[i] + " has colours no tip has");
+		} else if (centres[i] != -1 && tips[i] != centres[i]) {
+			problems.push("the tip at " + corners[i] + " doesn't go with its centre");
+		}
+	}
+	if (problems.length > 0) {
+		return problems;
+	}
+
+	let home = solverHolds["pyram"](state);
+	if (home == null) {
+		return ["two centres are swapped"];
+	}
+
+	let edges = readEdgesPyraminx(home);
+	if (permParity(edges.perm) != 0) {
+		problems.push("two edges are swapped");
+	}
+	if (edges.flip.reduce(function(a, f) { return a + f; }, 0) % 2 != 0) {
+		problems.push("an edge is flipped");
+	}
+
+	return problems;
+};
+
+/* each solver's way of holding its puzzle, as heldState gives it, for the state held any way up */
+const solverHolds = {
+	/* the DBL corner home, R, U and F never moving it */
+	"222": function(state) {
+		let dbl = cubieModels["222"].corners[6];
+		return heldState(puzzle2, state, cubeRotations, function(held) {
+			return stickerColours(puzzle2, held, dbl).join() == stickerColours(puzzle2, puzzle2.solved, dbl).join();
+		});
+	},
+	/* the UFR corner home */
+	"skb": function(state) {
+		let ufr = stickerColours(puzzleS, puzzleS.solved, cornersSkewb[7]).join();
+		return heldState(puzzleS, state, cubeRotations, function(held) {
+			return stickerColours(puzzleS, held, cornersSkewb[7]).join() == ufr;
+		});
+	},
+	/* every centre home */
+	"pyram": function(state) {
+		return heldState(puzzleP, state, pyraminxRotations, function(held) {
+			return centresPyraminx.every(function(c, i) { return turnedPiece(puzzleP, held, c, centresPyraminx) == i; });
+		});
+	}
+};
+
+/*
+	A solution for a state that can be solved, held as it was painted, in the puzzle's own
+	notation: solve(state) is the puzzle's solver, given the state recoloured as it holds it.
+*/
+function solvePainted(puzzle, state, solve) {
+	let hold = solverHolds[puzzle.name];
+	return solve(hold != null ? hold(state) : state);
+}